@@ -0,0 +1,76 @@
+import { createHash } from "node:crypto";
+import { existsSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+
+const WORKER_SOURCE = new URL("./sw.js", import.meta.url);
+
+// Files from public/ that the app needs offline; build output is added from the bundle. The
+// data files depend on whether passphrase mode is on, so only the ones present are listed.
+const PUBLIC_FILES = ["", "index.html", "manifest.webmanifest", "icon.svg", "data/schedule-rules.json"];
+const DATA_FILES = ["data/pregnancy-data.json", "data/pregnancy-data.enc.json"];
+
+// The entry chunk and everything it imports statically. Chunks only reached through import(),
+// such as SheetJS, are left to the service worker to cache the first time they are used.
+function eagerChunks(bundle) {
+  const eager = new Set();
+  const visit = (fileName) => {
+    if (eager.has(fileName)) return;
+    eager.add(fileName);
+    bundle[fileName].imports.forEach(visit);
+  };
+  Object.values(bundle)
+    .filter((item) => item.type === "chunk" && item.isEntry)
+    .forEach((chunk) => visit(chunk.fileName));
+  return eager;
+}
+
+// Assets such as CSS that only lazy chunks pull in are skipped as well.
+function precachedFiles(bundle) {
+  const eager = eagerChunks(bundle);
+  const assetsOf = (chunk) => [
+    ...(chunk.viteMetadata?.importedCss || []),
+    ...(chunk.viteMetadata?.importedAssets || []),
+  ];
+  const chunks = Object.values(bundle).filter((item) => item.type === "chunk");
+  const eagerAssets = new Set(chunks.filter((chunk) => eager.has(chunk.fileName)).flatMap(assetsOf));
+  const lazyAssets = new Set(
+    chunks
+      .filter((chunk) => !eager.has(chunk.fileName))
+      .flatMap(assetsOf)
+      .filter((file) => !eagerAssets.has(file))
+  );
+  return Object.values(bundle)
+    .filter((item) => (item.type === "chunk" ? eager.has(item.fileName) : !lazyAssets.has(item.fileName)))
+    .map((item) => item.fileName);
+}
+
+// Emits sw.js with the list of files to precache. The cache name is derived from that list, whose
+// asset names carry content hashes, so every build that changes the app replaces the old cache.
+export default function offline() {
+  let publicDir = "";
+
+  return {
+    name: "offline",
+    apply: "build",
+    enforce: "post",
+
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+
+    async generateBundle(_, bundle) {
+      const dataFiles = DATA_FILES.filter((file) => existsSync(path.join(publicDir, file)));
+      const urls = [...new Set([...PUBLIC_FILES, ...dataFiles, ...precachedFiles(bundle)])].filter(
+        (file) => !file.endsWith(".map")
+      );
+      const version = createHash("sha256").update(urls.join("\n")).digest("hex").slice(0, 12);
+      const source = await readFile(WORKER_SOURCE, "utf8");
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source: `self.__PRECACHE_MANIFEST__ = ${JSON.stringify({ version, urls })};\n${source}`,
+      });
+    },
+  };
+}
@@ -0,0 +1,67 @@
+import { existsSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { ENCRYPTED_FILE, SHEET_BUNDLE_FILE, buildSheetBundle, readWorkbookBuffer } from "../src/lib/data.js";
+
+const DEFAULT_SOURCE = "public/data/pregnancy-data.xlsx";
+const PLAIN_FILES = ["data/pregnancy-data.json", "data/pregnancy-data.xlsx"];
+
+function formatIssue(issue) {
+  return `${issue.source}${issue.row ? ` row ${issue.row}` : ""}: ${issue.reason}`;
+}
+
+// Validates the workbook during `vite build` and emits it as JSON next to the other data files,
+// so production never parses XLSX in the browser. Any row-level error fails the build.
+// In passphrase mode there is no workbook and nothing is emitted; a plain data file left next to
+// the encrypted one fails the build, since it would be published.
+export default function pregnancyData({ source = DEFAULT_SOURCE } = {}) {
+  let root = "";
+  let publicDir = "";
+  let bundle = "";
+
+  return {
+    name: "pregnancy-data",
+    apply: "build",
+
+    configResolved(config) {
+      root = config.root;
+      publicDir = config.publicDir;
+    },
+
+    async buildStart() {
+      bundle = "";
+      if (existsSync(path.join(publicDir, ENCRYPTED_FILE))) {
+        const plain = PLAIN_FILES.filter((file) => existsSync(path.join(publicDir, file)));
+        if (plain.length > 0) {
+          const listed = plain.map((file) => `public/${file}`).join(" and ");
+          this.error(
+            `public/${ENCRYPTED_FILE} is encrypted but ${listed} would be published in plain text. ` +
+              "Sync with passphrase mode on, or delete them."
+          );
+        }
+        return;
+      }
+
+      const file = path.resolve(root, source);
+      this.addWatchFile(file);
+      const { data, issues } = await readWorkbookBuffer(await readFile(file));
+      const errors = issues.filter((issue) => issue.level === "error");
+      const warnings = issues.filter((issue) => issue.level === "warning");
+
+      warnings.forEach((issue) => this.warn(`${source}: ${formatIssue(issue)}`));
+      if (errors.length > 0) {
+        this.error(
+          `${source} has ${errors.length} invalid row${errors.length === 1 ? "" : "s"}:\n` +
+            errors.map((issue) => `  ${formatIssue(issue)}`).join("\n")
+        );
+      }
+
+      bundle = buildSheetBundle(data, warnings);
+    },
+
+    generateBundle() {
+      if (!bundle) return;
+      this.emitFile({ type: "asset", fileName: SHEET_BUNDLE_FILE, source: bundle });
+    },
+  };
+}
@@ -0,0 +1,81 @@
+// Service worker source. plugins/offline.js prepends `self.__PRECACHE_MANIFEST__` with the build's
+// files and emits the result as sw.js, so this file is never bundled or served as is.
+const { version, urls } = self.__PRECACHE_MANIFEST__;
+const CACHE_PREFIX = "pregnancy-planner-";
+const CACHE_NAME = `${CACHE_PREFIX}${version}`;
+const scope = new URL(self.registration.scope);
+const indexUrl = new URL("index.html", scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(urls.map((url) => new URL(url, scope).href)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(fallbackUrl || request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+// Pages and data files are fetched fresh when online and served from the cache when not;
+// hashed build assets never change, so the cached copy is used first.
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== scope.origin || !url.href.startsWith(scope.href)) {
+    return;
+  }
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, indexUrl));
+  } else if (url.pathname.startsWith(`${scope.pathname}data/`)) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// Focuses the app (or opens it) when a reminder is clicked.
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => client.url.startsWith(scope.href));
+      return open ? open.focus() : self.clients.openWindow(scope.href);
+    })
+  );
+});
@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { readJsonData } from "../src/lib/data.js";
+import { diffVersions } from "../src/lib/history.js";
+
+// Compares data versions the way the history dialog does: `npm run check:history`.
+
+// Data committed before events had ids.
+const idlessVersion = {
+  profile: { lmp: "2025-10-20" },
+  events: [
+    { date: "2025-10-20", type: "Milestone", title: "LMP", notes: "" },
+    { date: "2026-01-12", type: "Scan", title: "Dating scan", notes: "" },
+    { date: "2026-01-12", type: "Scan", title: "Dating scan", notes: "Second copy" },
+  ],
+};
+
+async function check(name, run) {
+  await run();
+  console.log(`ok - ${name}`);
+}
+
+await check("an id-less version diffs as unchanged against itself", async () => {
+  const first = readJsonData(idlessVersion).data;
+  const second = readJsonData(structuredClone(idlessVersion)).data;
+  assert.deepEqual(
+    first.events.map((event) => event.id),
+    second.events.map((event) => event.id)
+  );
+  assert.equal(new Set(first.events.map((event) => event.id)).size, first.events.length);
+  assert.deepEqual(diffVersions(first, second), []);
+});
+
+await check("an edited event in an id-less version diffs as changed", async () => {
+  const version = readJsonData(idlessVersion).data;
+  const edited = structuredClone(idlessVersion);
+  edited.events[0].notes = "Counted from here";
+  const rows = diffVersions(readJsonData(edited).data, version);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].change, "changed");
+  assert.equal(rows[0].remote.notes, "Counted from here");
+});
+
+await check("an id-less version matches a working copy that was saved with new ids", async () => {
+  const version = readJsonData(idlessVersion).data;
+  const working = structuredClone(version);
+  working.events = working.events.map((event, index) => ({ ...event, id: `saved-${index}` }));
+  assert.deepEqual(diffVersions(version, working), []);
+
+  working.events.pop();
+  const rows = diffVersions(version, working);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].change, "added");
+});
@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { createFakeGitHub } from "../src/lib/fakeGitHub.js";
+import { GitHubConflictError, createGitHubClient, stringToBase64 } from "../src/lib/github.js";
+
+// Runs the GitHub client against the in-memory fake: `npm run check:sync`.
+
+const settings = { owner: "owner", repo: "repo", branch: "main", token: "test-token" };
+const JSON_PATH = "public/data/pregnancy-data.json";
+const XLSX_PATH = "public/data/pregnancy-data.xlsx";
+
+function textFile(path, text) {
+  return { path, content: stringToBase64(text) };
+}
+
+async function check(name, run) {
+  await run();
+  console.log(`ok - ${name}`);
+}
+
+await check("commitFiles writes every file in one commit", async () => {
+  const fake = createFakeGitHub({ ...settings, files: { [JSON_PATH]: "{}" } });
+  const github = createGitHubClient(settings, fake);
+  const before = fake.commitCount();
+  const result = await github.commitFiles({
+    message: "Update pregnancy data",
+    files: [textFile(JSON_PATH, '{"events":[]}'), textFile(XLSX_PATH, "workbook")],
+  });
+  assert.equal(fake.commitCount(), before + 1);
+  assert.equal(fake.headSha(), result.commitSha);
+  assert.equal(fake.readFile(JSON_PATH), '{"events":[]}');
+  assert.equal(fake.readFile(XLSX_PATH), "workbook");
+  assert.equal((await github.getFile(JSON_PATH)).sha, result.blobs[JSON_PATH]);
+});
+
+await check("commitFiles deletes removed paths and skips missing ones", async () => {
+  const fake = createFakeGitHub({ ...settings, files: { [JSON_PATH]: "{}", [XLSX_PATH]: "x" } });
+  const github = createGitHubClient(settings, fake);
+  await github.commitFiles({
+    message: "Encrypt pregnancy data",
+    files: [textFile("public/data/pregnancy-data.enc.json", "{}")],
+    remove: [JSON_PATH, XLSX_PATH, "public/data/missing.json"],
+  });
+  assert.equal(fake.readFile(JSON_PATH), null);
+  assert.equal(fake.readFile(XLSX_PATH), null);
+  assert.equal(fake.readFile("public/data/pregnancy-data.enc.json"), "{}");
+});
+
+await check("a moved branch fails with GitHubConflictError and writes nothing", async () => {
+  const fake = createFakeGitHub({ ...settings, files: { [JSON_PATH]: "{}" } });
+  const github = createGitHubClient(settings, fake);
+  const loadedSha = await github.getBranchHead();
+  fake.pushExternalCommit({ [JSON_PATH]: '{"events":[1]}' }, "Someone else's sync");
+  const head = fake.headSha();
+  await assert.rejects(
+    github.commitFiles({
+      parentSha: loadedSha,
+      message: "Update pregnancy data",
+      files: [textFile(JSON_PATH, '{"events":[2]}')],
+    }),
+    GitHubConflictError
+  );
+  assert.equal(fake.headSha(), head);
+  assert.equal(fake.readFile(JSON_PATH), '{"events":[1]}');
+});
+
+await check("listCommits only returns commits that touched the path", async () => {
+  const fake = createFakeGitHub({ ...settings, files: { [JSON_PATH]: "{}" } });
+  const github = createGitHubClient(settings, fake);
+  fake.pushExternalCommit({ "README.md": "docs" }, "Docs");
+  fake.pushExternalCommit({ [JSON_PATH]: '{"events":[]}' }, "Update pregnancy data");
+  const commits = await github.listCommits(JSON_PATH);
+  assert.deepEqual(
+    commits.map((commit) => commit.message),
+    ["Update pregnancy data", "Initial commit"]
+  );
+});
+
+await check("verifyConnection reports a rejected token and a missing branch", async () => {
+  const fake = createFakeGitHub({ ...settings, files: {} });
+  assert.equal((await createGitHubClient(settings, fake).verifyConnection()).ok, true);
+  const badToken = await createGitHubClient({ ...settings, token: "wrong" }, fake).verifyConnection();
+  assert.match(badToken.problem, /rejected the token/);
+  const badBranch = await createGitHubClient({ ...settings, branch: "dev" }, fake).verifyConnection();
+  assert.match(badBranch.problem, /no branch "dev"/);
+});
@@ -2,19 +2,17 @@ import { useEffect, useMemo, useState } from "react";
 import {
   addDays,
   addMonths,
-  differenceInCalendarDays,
   endOfMonth,
   endOfWeek,
   format,
   isSameDay,
   isSameMonth,
-  isValid,
   parseISO,
   startOfMonth,
   startOfWeek,
 } from "date-fns";
-import * as XLSX from "xlsx";
 import {
+  Alert,
   Box,
   Button,
   Card,
@@ -22,191 +20,237 @@ import {
   Chip,
   Container,
   Divider,
+  FormControlLabel,
   IconButton,
+  MenuItem,
   Stack,
+  Switch,
   TextField,
+  ToggleButton,
+  ToggleButtonGroup,
   Typography,
 } from "@mui/material";
 import ChevronLeftIcon from "@mui/icons-material/ChevronLeft";
 import ChevronRightIcon from "@mui/icons-material/ChevronRight";
+import ContentCopyIcon from "@mui/icons-material/ContentCopy";
+import DeleteOutlineIcon from "@mui/icons-material/DeleteOutline";
+import EditOutlinedIcon from "@mui/icons-material/EditOutlined";
+import NoteAddOutlinedIcon from "@mui/icons-material/NoteAddOutlined";
+import PrintOutlinedIcon from "@mui/icons-material/PrintOutlined";
+import CalendarDayCell from "./components/CalendarDayCell.jsx";
+import CalendarFilesCard from "./components/CalendarFilesCard.jsx";
+import CategoryIcon from "./components/CategoryIcon.jsx";
+import CategoryLegend from "./components/CategoryLegend.jsx";
+import ConnectionPanel from "./components/ConnectionPanel.jsx";
+import GrowthChartsCard from "./components/GrowthChartsCard.jsx";
+import HistoryDialog from "./components/HistoryDialog.jsx";
+import ImportReportCard from "./components/ImportReportCard.jsx";
+import LabourToolsCard from "./components/LabourToolsCard.jsx";
+import MedicationsCard from "./components/MedicationsCard.jsx";
+import MergeDialog from "./components/MergeDialog.jsx";
+import PendingChangesDialog from "./components/PendingChangesDialog.jsx";
+import ProfileCard from "./components/ProfileCard.jsx";
+import RemindersCard from "./components/RemindersCard.jsx";
+import ReportDialog from "./components/ReportDialog.jsx";
+import ScheduleCard from "./components/ScheduleCard.jsx";
+import SearchCard from "./components/SearchCard.jsx";
+import UnlockDialog from "./components/UnlockDialog.jsx";
+import VisitReport from "./components/VisitReport.jsx";
+import VitalsCard from "./components/VitalsCard.jsx";
+import WeekTimeline from "./components/WeekTimeline.jsx";
+import {
+  forgetToken,
+  hasLockedToken,
+  loadSessionToken,
+  saveToken,
+  setSessionToken,
+  unlockToken,
+} from "./lib/credentials.js";
+import { PassphraseError, buildEnvelopeBody, decryptText, encryptText } from "./lib/crypto.js";
+import {
+  DATA_ENCRYPTED,
+  DATA_JSON,
+  DATA_XLSX,
+  buildJsonBody,
+  buildWorkbookBuffer,
+  fetchRepoData,
+  fetchRepoSheet,
+  fetchStaticData,
+  normalizeEvent,
+  parseJsonData,
+  readJsonData,
+  sortEvents,
+} from "./lib/data.js";
+import { eventCategories, getEventCategory } from "./lib/eventTypes.js";
+import { arrayBufferToBase64, createGitHubClient, stringToBase64 } from "./lib/github.js";
+import { firstLine, listDataCommits } from "./lib/history.js";
+import { mergeImportedEvents, parseCalendar } from "./lib/ical.js";
+import { createId } from "./lib/ids.js";
+import { clearDraft, listPendingChanges, loadDraft, restoreDraft, saveDraft } from "./lib/localStore.js";
+import {
+  buildMissedDoses,
+  normalizeMedication,
+  setDosesTaken,
+  sortMedications,
+} from "./lib/medications.js";
+import { applyMerge, buildMergePreview, compareSources } from "./lib/merge.js";
+import {
+  buildMonitoringByDate,
+  formatKickSession,
+  formatSeconds,
+  sortContractions,
+  sortKickSessions,
+} from "./lib/monitoring.js";
+import { emptyMeasurements, formatReportPoints, normalizeReport, sortReports } from "./lib/reports.js";
+import {
+  buildDatingMilestones,
+  defaultProfile,
+  formatGestationalAge,
+  getDating,
+  getGestationalAge,
+  getPregnancyProgress,
+  normalizeProfile,
+} from "./lib/pregnancy.js";
+import { buildSchedule, fetchScheduleRules } from "./lib/schedule.js";
+import { emptyFilters, filterEvents, hasActiveFilters, searchRecords } from "./lib/search.js";
+import {
+  TIMELINE_WEEKS,
+  buildCalendarMarkers,
+  buildWeekTimeline,
+  findTimelineWeek,
+} from "./lib/timeline.js";
+import { buildVisitReport } from "./lib/visitReport.js";
+import { buildVitalAlerts, normalizeVital, sortVitals } from "./lib/vitals.js";
 
-const BASE_URL = import.meta.env.BASE_URL || "/";
-const DATA_XLSX = `${BASE_URL}data/pregnancy-data.xlsx`;
-const DATA_JSON = `${BASE_URL}data/pregnancy-data.json`;
 const STORAGE_KEY = "pregnancy-planner-settings";
-const startDate = "2025-10-20";
 
 const defaultSettings = {
   owner: "",
   repo: "",
   branch: "main",
   token: "",
+  tokenStorage: "session",
   jsonPath: "public/data/pregnancy-data.json",
   xlsxPath: "public/data/pregnancy-data.xlsx",
+  encryptedPath: "public/data/pregnancy-data.enc.json",
+  encrypt: false,
 };
 
-const emptyForm = {
-  date: "",
-  type: "",
-  title: "",
-  notes: "",
-};
-
-const medicalSummary = [
-  {
-    date: "05 Dec 2025",
-    title: "First Ultrasound",
-    points: [
-      "Early pregnancy confirmation",
-      "Heartbeat present (134 bpm)",
-      "GA around 7 weeks",
-    ],
-  },
-  {
-    date: "08 Jan 2026",
-    title: "Ultrasound 1 – Dating",
-    points: ["Growth consistent with LMP", "GA progressing normally"],
-  },
-  {
-    date: "09 Mar 2026",
-    title: "Ultrasound 2 – NT Scan",
-    points: [
-      "CRL: ~5.6 cm",
-      "GA: ~12–13 weeks",
-      "Fetal HR: 159 bpm (Normal range 120–170)",
-      "NT: 1.10 mm (Normal range)",
-      "Everything appears within normal limits",
-    ],
-  },
-  {
-    date: "2026 Timeline",
-    title: "Upcoming milestones",
-    points: [
-      "Current EDD: 13 July 2026",
-      "End of 1st Trimester: Early Jan 2026",
-      "Anatomy Scan (Level 2): Around April 2026",
-      "Glucose Test: May 2026",
-      "Delivery Window: 38–40 weeks (late June to mid July 2026)",
-    ],
-  },
-];
-
-function formatDateInput(value) {
-  if (!value) return "";
-  if (value instanceof Date && isValid(value)) {
-    return format(value, "yyyy-MM-dd");
-  }
-  const parsed = parseISO(String(value));
-  if (isValid(parsed)) {
-    return format(parsed, "yyyy-MM-dd");
-  }
-  return "";
-}
-
-function normalizeEvent(raw) {
-  const dateValue = raw.date ?? raw.Date ?? raw.DATE;
-  const date = formatDateInput(dateValue);
-  return {
-    date,
-    type: String(raw.type ?? raw.Type ?? "").trim(),
-    title: String(raw.title ?? raw.Title ?? "").trim(),
-    notes: String(raw.notes ?? raw.Notes ?? "").trim(),
-  };
-}
-
-function arrayBufferToBase64(buffer) {
-  const bytes = new Uint8Array(buffer);
-  let binary = "";
-  bytes.forEach((byte) => {
-    binary += String.fromCharCode(byte);
-  });
-  return btoa(binary);
+// Everything except the token, which credentials.js keeps out of localStorage.
+function storeSettings(settings) {
+  const { token: _token, ...stored } = settings;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
 }
 
-function stringToBase64(text) {
-  const bytes = new TextEncoder().encode(text);
-  return arrayBufferToBase64(bytes.buffer);
+function loadSettings() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  const token = loadSessionToken();
+  if (!saved) return { ...defaultSettings, token };
+  try {
+    const parsed = JSON.parse(saved);
+    // Older versions stored the token here in plain text; move it to this tab's session.
+    if (parsed.token) {
+      setSessionToken(parsed.token);
+      storeSettings(parsed);
+      return { ...defaultSettings, ...parsed, tokenStorage: "session" };
+    }
+    return { ...defaultSettings, ...parsed, token };
+  } catch (error) {
+    console.error("Unable to parse settings", error);
+    return { ...defaultSettings, token };
+  }
 }
 
-async function fetchSheetEvents() {
-  const response = await fetch(DATA_XLSX);
-  if (!response.ok) {
-    throw new Error("Unable to load pregnancy-data.xlsx");
-  }
-  const buffer = await response.arrayBuffer();
-  const workbook = XLSX.read(buffer, { type: "array" });
-  const sheet = workbook.Sheets[workbook.SheetNames[0]];
-  const rows = XLSX.utils.sheet_to_json(sheet, {
-    defval: "",
-    raw: false,
-    dateNF: "yyyy-mm-dd",
-  });
-  return rows.map(normalizeEvent).filter((event) => event.date);
+function hasRepoSettings(settings) {
+  return Boolean(settings.owner && settings.repo && settings.token);
 }
 
-async function fetchJsonEvents() {
-  const response = await fetch(DATA_JSON);
-  if (!response.ok) {
-    throw new Error("Unable to load pregnancy-data.json");
-  }
-  const data = await response.json();
-  const rows = Array.isArray(data?.events) ? data.events : [];
-  return rows.map(normalizeEvent).filter((event) => event.date);
+// The JSON is the working copy because its blob sha is what sync compares against; the
+// workbook is compared with it so drift between the two files is shown rather than ignored.
+function combineSources({ json, sheet }, paths) {
+  const primary = json || sheet;
+  return {
+    data: primary.data,
+    issues: [...(json?.issues || []), ...(sheet?.issues || [])],
+    divergence: json && sheet ? compareSources(json.data, sheet.data) : [],
+    path: json ? paths.json : paths.xlsx,
+  };
 }
 
-async function getGitHubFileSha({ owner, repo, path, branch, token }) {
-  const response = await fetch(
-    `https://api.github.com/repos/${owner}/${repo}/contents/${path}?ref=${branch}`,
-    {
-      headers: {
-        Authorization: `token ${token}`,
-        Accept: "application/vnd.github+json",
-      },
+// Prefers the configured branch via the contents API and falls back to the files deployed
+// with the app when GitHub is not configured or cannot be reached.
+async function readData(settings) {
+  let reason = hasRepoSettings(settings) ? "" : "GitHub is not configured";
+  if (!reason) {
+    try {
+      const github = createGitHubClient(settings);
+      const loaded = await fetchRepoData(github, settings);
+      if (loaded.envelope) {
+        return {
+          envelope: loaded.envelope,
+          syncSha: loaded.envelopeSha,
+          source: { kind: "repo", branch: github.branch, commitSha: loaded.commitSha, path: settings.encryptedPath },
+        };
+      }
+      const combined = combineSources(loaded, { json: settings.jsonPath, xlsx: settings.xlsxPath });
+      return {
+        ...combined,
+        syncSha: loaded.jsonSha,
+        source: { kind: "repo", branch: github.branch, commitSha: loaded.commitSha, path: combined.path },
+      };
+    } catch (error) {
+      reason = error.message || "GitHub could not be reached";
     }
-  );
-
-  if (response.status === 404) {
-    return null;
   }
 
-  if (!response.ok) {
-    throw new Error(`Failed to read ${path}: ${response.status}`);
+  const deployed = await fetchStaticData();
+  if (deployed.envelope) {
+    return { envelope: deployed.envelope, syncSha: null, source: { kind: "static", path: DATA_ENCRYPTED, reason } };
   }
-
-  const data = await response.json();
-  return data.sha;
+  const combined = combineSources(deployed, { json: DATA_JSON, xlsx: DATA_XLSX });
+  return { ...combined, syncSha: null, source: { kind: "static", path: combined.path, reason } };
 }
 
-async function putGitHubFile({ owner, repo, path, branch, token, content, message }) {
-  const sha = await getGitHubFileSha({ owner, repo, path, branch, token });
-
-  const response = await fetch(
-    `https://api.github.com/repos/${owner}/${repo}/contents/${path}`,
-    {
-      method: "PUT",
-      headers: {
-        Authorization: `token ${token}`,
-        Accept: "application/vnd.github+json",
-      },
-      body: JSON.stringify({
-        message,
-        content,
-        sha,
-        branch,
-      }),
-    }
-  );
+// Turns data read by readData that is still an encrypted envelope into the usual loaded shape.
+async function unlockData(locked, passphrase) {
+  const json = readJsonData(JSON.parse(await decryptText(locked.envelope, passphrase)));
+  return {
+    ...combineSources({ json, sheet: null }, { json: locked.source.path }),
+    syncSha: locked.syncSha,
+    source: locked.source,
+  };
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Failed to update ${path}: ${response.status} ${errorText}`);
-  }
+const sourceChangeLabels = {
+  local: { added: "Only in JSON" },
+  remote: { added: "Only in Excel" },
+  both: { conflict: "Differs" },
+};
 
-  return response.json();
-}
+// An empty category is derived from the type and title when the event is saved.
+const emptyForm = {
+  date: "",
+  type: "",
+  category: "",
+  title: "",
+  notes: "",
+};
 
 function App() {
   const [events, setEvents] = useState([]);
+  const [profile, setProfile] = useState(defaultProfile);
+  const [reports, setReports] = useState([]);
+  const [reportDraft, setReportDraft] = useState(null);
+  const [vitals, setVitals] = useState([]);
+  const [medications, setMedications] = useState([]);
+  const [doses, setDoses] = useState([]);
+  const [kickSessions, setKickSessions] = useState([]);
+  const [contractions, setContractions] = useState([]);
+  const [scheduleRules, setScheduleRules] = useState([]);
+  const [scheduleError, setScheduleError] = useState("");
+  const [calendarView, setCalendarView] = useState("month");
+  const [hiddenCategories, setHiddenCategories] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
   const [currentMonth, setCurrentMonth] = useState(new Date());
   const [selectedDate, setSelectedDate] = useState(new Date());
   const [status, setStatus] = useState({
@@ -216,51 +260,107 @@ function App() {
     message: "",
   });
   const [form, setForm] = useState(emptyForm);
-  const [settings, setSettings] = useState(defaultSettings);
+  const [editingId, setEditingId] = useState(null);
+  const [settings, setSettings] = useState(loadSettings);
+  // A token stored locked waits for its passphrase before anything is loaded from GitHub.
+  const [tokenLocked, setTokenLocked] = useState(() => hasLockedToken() && !loadSessionToken());
+  const [syncBase, setSyncBase] = useState({ sha: null, data: null });
+  const [dataSource, setDataSource] = useState(null);
+  const [importIssues, setImportIssues] = useState([]);
+  const [divergence, setDivergence] = useState([]);
+  const [reviewingDivergence, setReviewingDivergence] = useState(false);
+  const [mergePreview, setMergePreview] = useState(null);
+  const [reviewingChanges, setReviewingChanges] = useState(false);
+  const [showingVisitReport, setShowingVisitReport] = useState(false);
+  const [historyCommits, setHistoryCommits] = useState(null);
+  // Data read as an encrypted envelope waits here until the passphrase is entered. The
+  // passphrase itself is only held in memory.
+  const [locked, setLocked] = useState(null);
+  const [passphrase, setPassphrase] = useState("");
+  const [passphraseConfirm, setPassphraseConfirm] = useState("");
 
   useEffect(() => {
-    const saved = localStorage.getItem(STORAGE_KEY);
-    if (saved) {
-      try {
-        setSettings({ ...defaultSettings, ...JSON.parse(saved) });
-      } catch (error) {
-        console.error("Unable to parse settings", error);
-      }
-    }
-  }, []);
+    if (tokenLocked) return;
 
-  useEffect(() => {
-    async function loadEvents() {
-      setStatus((prev) => ({ ...prev, loading: true, error: "" }));
+    async function loadInitialData() {
       try {
-        const sheetEvents = await fetchSheetEvents();
-        setEvents(sheetEvents);
-      } catch (error) {
-        try {
-          const jsonEvents = await fetchJsonEvents();
-          setEvents(jsonEvents);
-        } catch (jsonError) {
-          setStatus((prev) => ({
-            ...prev,
-            error: jsonError.message || "Unable to load data",
-          }));
+        const loaded = await readData(loadSettings());
+        if (loaded.envelope) {
+          setLocked(loaded);
+          setDataSource(loaded.source);
+          return;
         }
+        const restored = restoreDraft(await loadDraft().catch(() => null), loaded);
+        applyData(restored.data);
+        setSyncBase({ sha: restored.syncSha, data: restored.base || restored.data });
+        setDataSource(restored.source);
+        setImportIssues(restored.issues);
+        setDivergence(restored.divergence);
+      } catch (error) {
+        setStatus((prev) => ({ ...prev, error: error.message || "Unable to load data" }));
       } finally {
         setStatus((prev) => ({ ...prev, loading: false }));
       }
     }
 
-    loadEvents();
+    loadInitialData();
+  }, [tokenLocked]);
+
+  useEffect(() => {
+    fetchScheduleRules()
+      .then(setScheduleRules)
+      .catch((error) => setScheduleError(error.message || "Unable to load schedule rules"));
   }, []);
 
-  const eventsByDate = useMemo(() => {
+  const currentData = useMemo(
+    () => ({
+      profile: normalizeProfile(profile),
+      events,
+      reports,
+      vitals,
+      medications,
+      doses,
+      kickSessions,
+      contractions,
+    }),
+    [profile, events, reports, vitals, medications, doses, kickSessions, contractions]
+  );
+
+  const pendingChanges = useMemo(
+    () => listPendingChanges(syncBase.data, currentData),
+    [syncBase.data, currentData]
+  );
+
+  // Keep the working copy in IndexedDB so a refresh before syncing does not lose it.
+  useEffect(() => {
+    if (status.loading || !syncBase.data) return;
+    const persist =
+      pendingChanges.length > 0
+        ? saveDraft({ base: syncBase.data, baseSha: syncBase.sha, data: currentData })
+        : clearDraft();
+    persist.catch((error) => console.error("Unable to store local changes", error));
+  }, [status.loading, syncBase, currentData, pendingChanges.length]);
+
+  const visibleEvents = useMemo(
+    () => events.filter((event) => !hiddenCategories.includes(event.category)),
+    [events, hiddenCategories]
+  );
+
+  const categoryCounts = useMemo(() => {
     return events.reduce((acc, event) => {
+      acc[event.category] = (acc[event.category] || 0) + 1;
+      return acc;
+    }, {});
+  }, [events]);
+
+  const eventsByDate = useMemo(() => {
+    return visibleEvents.reduce((acc, event) => {
       if (!event.date) return acc;
       if (!acc[event.date]) acc[event.date] = [];
       acc[event.date].push(event);
       return acc;
     }, {});
-  }, [events]);
+  }, [visibleEvents]);
 
   const calendarDays = useMemo(() => {
     const monthStart = startOfMonth(currentMonth);
@@ -277,64 +377,173 @@ function App() {
     return days;
   }, [currentMonth]);
 
-  const pregnancyProgress = useMemo(() => {
-    const lmpDate = parseISO(startDate);
-    const today = new Date();
-    const dayDelta = differenceInCalendarDays(today, lmpDate);
-    const weekNumber = dayDelta >= 0 ? Math.floor(dayDelta / 7) : 0;
-    const dayOfWeek = dayDelta >= 0 ? dayDelta % 7 : 0;
-    const weekStart = addDays(lmpDate, Math.max(0, weekNumber) * 7);
-    const weekEnd = addDays(weekStart, 6);
-    const trimester =
-      weekNumber <= 0
-        ? "-"
-        : weekNumber <= 12
-        ? "1st Trimester"
-        : weekNumber <= 27
-        ? "2nd Trimester"
-        : "3rd Trimester";
-    const pregnancyMonth = weekNumber <= 0 ? "-" : Math.ceil(weekNumber / 4);
-
-    return {
-      weekNumber,
-      dayOfWeek,
-      trimester,
-      pregnancyMonth,
-      range: `${format(weekStart, "MMM d, yyyy")} - ${format(weekEnd, "MMM d, yyyy")}`,
-      weekStart,
-      weekEnd,
-      todayKey: format(today, "yyyy-MM-dd"),
-    };
-  }, []);
+  const dating = useMemo(() => getDating(profile), [profile]);
+
+  const pregnancyProgress = useMemo(() => getPregnancyProgress(dating), [dating]);
+
+  const datingMilestones = useMemo(() => buildDatingMilestones(dating), [dating]);
+
+  const calendarMarkers = useMemo(() => buildCalendarMarkers(dating), [dating]);
+
+  const monitoringByDate = useMemo(
+    () => buildMonitoringByDate(kickSessions, contractions),
+    [kickSessions, contractions]
+  );
+
+  const missedDoses = useMemo(
+    () =>
+      buildMissedDoses(
+        medications,
+        doses,
+        dating,
+        calendarDays.map((day) => format(day, "yyyy-MM-dd")),
+        pregnancyProgress.todayKey
+      ),
+    [medications, doses, dating, calendarDays, pregnancyProgress.todayKey]
+  );
+
+  const vitalAlerts = useMemo(
+    () => buildVitalAlerts(vitals, normalizeProfile(profile)),
+    [vitals, profile]
+  );
+
+  const summaryItems = useMemo(() => {
+    return [
+      ...reports.map((report) => ({
+        key: report.id,
+        date: format(parseISO(report.date), "dd MMM yyyy"),
+        title: report.title,
+        points: formatReportPoints(report),
+        report,
+      })),
+      { key: "milestones", date: "Timeline", title: "Upcoming milestones", points: datingMilestones },
+    ];
+  }, [reports, datingMilestones]);
+
+  const schedule = useMemo(
+    () => buildSchedule(scheduleRules, dating, events),
+    [scheduleRules, dating, events]
+  );
+
+  const tentativeByDate = useMemo(() => {
+    return schedule.reduce((acc, item) => {
+      if (item.status === "done") return acc;
+      if (!acc[item.start]) acc[item.start] = [];
+      acc[item.start].push(item);
+      return acc;
+    }, {});
+  }, [schedule]);
+
+  const weekTimeline = useMemo(
+    () => buildWeekTimeline(dating, visibleEvents, schedule),
+    [dating, visibleEvents, schedule]
+  );
+
+  const selectedWeek = useMemo(() => findTimelineWeek(dating, selectedDate), [dating, selectedDate]);
 
-  const ultrasoundEvents = useMemo(() => {
+  const scanEvents = useMemo(() => {
     return events
-      .filter((event) => event.type.toLowerCase().includes("ultrasound"))
-      .sort((a, b) => a.date.localeCompare(b.date))
-      .slice(0, 2);
+      .filter((event) => event.category === "scan")
+      .sort((a, b) => a.date.localeCompare(b.date));
   }, [events]);
 
+  const visitReport = useMemo(
+    () =>
+      showingVisitReport ? buildVisitReport({ events, reports, schedule, dating }) : null,
+    [showingVisitReport, events, reports, schedule, dating]
+  );
+
+  const selectedMonitoring = monitoringByDate[format(selectedDate, "yyyy-MM-dd")];
+
   const selectedEvents = useMemo(() => {
     const key = format(selectedDate, "yyyy-MM-dd");
     return eventsByDate[key] || [];
   }, [selectedDate, eventsByDate]);
 
+  const selectedWindows = useMemo(() => {
+    const key = format(selectedDate, "yyyy-MM-dd");
+    return schedule.filter(
+      (item) => item.status !== "done" && item.start <= key && item.end >= key
+    );
+  }, [selectedDate, schedule]);
+
   const upcomingEvents = useMemo(() => {
     const todayKey = format(new Date(), "yyyy-MM-dd");
     return events
       .filter((event) => event.date >= todayKey)
-      .sort((a, b) => a.date.localeCompare(b.date))
-      .slice(0, 5);
+      .sort((a, b) => a.date.localeCompare(b.date));
   }, [events]);
 
   const topEvents = useMemo(() => upcomingEvents.slice(0, 3), [upcomingEvents]);
 
+  const highlightEvents = useMemo(
+    () => filterEvents(upcomingEvents, filters, dating),
+    [upcomingEvents, filters, dating]
+  );
+
+  const searchResults = useMemo(
+    () => searchRecords({ events, reports }, filters, dating),
+    [events, reports, filters, dating]
+  );
+
+  function applyData(data) {
+    setProfile(data.profile);
+    setEvents(data.events);
+    setReports(data.reports);
+    setVitals(data.vitals);
+    setMedications(data.medications || []);
+    setDoses(data.doses || []);
+    setKickSessions(data.kickSessions || []);
+    setContractions(data.contractions || []);
+  }
+
+  function showLoaded(loaded) {
+    applyData(loaded.data);
+    setSyncBase({ sha: loaded.syncSha, data: loaded.base || loaded.data });
+    setDataSource(loaded.source);
+    setImportIssues(loaded.issues);
+    setDivergence(loaded.divergence);
+  }
+
+  async function handleUnlock(value) {
+    const draft = await loadDraft().catch(() => null);
+    showLoaded(restoreDraft(draft, await unlockData(locked, value)));
+    setLocked(null);
+    setPassphrase(value);
+    setPassphraseConfirm(value);
+    updateSettings({ encrypt: true });
+  }
+
+  async function reloadData(activeSettings) {
+    setStatus((prev) => ({ ...prev, loading: true, error: "" }));
+    try {
+      let loaded = await readData(activeSettings);
+      if (loaded.envelope) {
+        try {
+          loaded = await unlockData(loaded, passphrase);
+        } catch (error) {
+          // Only a missing or wrong passphrase asks for it again; a damaged file is an error.
+          if (!(error instanceof PassphraseError)) throw error;
+          setLocked(loaded);
+          setDataSource(loaded.source);
+          setDivergence([]);
+          return;
+        }
+      }
+      showLoaded(loaded);
+    } catch (error) {
+      setStatus((prev) => ({ ...prev, error: error.message || "Unable to load data" }));
+    } finally {
+      setStatus((prev) => ({ ...prev, loading: false }));
+    }
+  }
+
   function handleFormChange(event) {
     const { name, value } = event.target;
     setForm((prev) => ({ ...prev, [name]: value }));
   }
 
-  function handleAddEvent(event) {
+  function handleSubmitEvent(event) {
     event.preventDefault();
     if (!form.date || !form.title) {
       setStatus((prev) => ({
@@ -344,22 +553,263 @@ function App() {
       return;
     }
 
-    const newEvent = normalizeEvent(form);
-    setEvents((prev) => [...prev, newEvent].sort((a, b) => a.date.localeCompare(b.date)));
-    setSelectedDate(parseISO(newEvent.date));
+    const savedEvent = normalizeEvent({ ...form, id: editingId || createId() });
+    setEvents((prev) =>
+      sortEvents(
+        editingId
+          ? prev.map((item) => (item.id === editingId ? savedEvent : item))
+          : [...prev, savedEvent]
+      )
+    );
+    setSelectedDate(parseISO(savedEvent.date));
+    setCurrentMonth(parseISO(savedEvent.date));
+    setForm(emptyForm);
+    setEditingId(null);
+    setStatus((prev) => ({
+      ...prev,
+      message: editingId ? "Event updated on this device." : "Event added on this device.",
+    }));
+  }
+
+  function handleEditEvent(eventItem) {
+    setEditingId(eventItem.id);
+    setForm({
+      date: eventItem.date,
+      type: eventItem.type,
+      category: eventItem.category,
+      title: eventItem.title,
+      notes: eventItem.notes,
+    });
+    setStatus((prev) => ({ ...prev, message: "" }));
+  }
+
+  function handleCancelEdit() {
+    setEditingId(null);
     setForm(emptyForm);
-    setStatus((prev) => ({ ...prev, message: "Event added locally." }));
+  }
+
+  function handleDeleteEvent(eventItem) {
+    if (!window.confirm(`Delete "${eventItem.title}" on ${eventItem.date}?`)) return;
+    setEvents((prev) => prev.filter((item) => item.id !== eventItem.id));
+    if (editingId === eventItem.id) handleCancelEdit();
+    setStatus((prev) => ({ ...prev, message: "Event deleted on this device." }));
+  }
+
+  function handleDuplicateEvent(eventItem) {
+    const copy = { ...eventItem, id: createId() };
+    setEvents((prev) => sortEvents([...prev, copy]));
+    handleEditEvent(copy);
+    setStatus((prev) => ({
+      ...prev,
+      message: "Event duplicated on this device. Adjust the copy and save.",
+    }));
+  }
+
+  function handlePlanWindow(item) {
+    const date = item.status === "overdue" ? pregnancyProgress.todayKey : item.start;
+    setEditingId(null);
+    setForm({ ...emptyForm, date, type: item.eventType, title: item.title });
+    setSelectedDate(parseISO(date));
+    setCurrentMonth(parseISO(date));
+    setStatus((prev) => ({
+      ...prev,
+      message: `Pick a date for ${item.title} and add it to the calendar.`,
+    }));
+  }
+
+  function handleSelectDate(date) {
+    setSelectedDate(date);
+    setCurrentMonth(date);
+  }
+
+  function handleToggleCategory(key) {
+    setHiddenCategories((prev) =>
+      prev.includes(key) ? prev.filter((item) => item !== key) : [...prev, key]
+    );
+  }
+
+  function handleNewReport(eventItem) {
+    setReportDraft({
+      isNew: true,
+      report: {
+        id: createId(),
+        eventId: eventItem?.id || "",
+        date: eventItem?.date || pregnancyProgress.todayKey,
+        title: eventItem?.title || "",
+        measurements: emptyMeasurements,
+        impressions: "",
+      },
+    });
+  }
+
+  function handleSaveReport(draft) {
+    const saved = normalizeReport(draft);
+    if (!saved.date || !saved.title) return;
+    setReports((prev) =>
+      sortReports(
+        prev.some((item) => item.id === saved.id)
+          ? prev.map((item) => (item.id === saved.id ? saved : item))
+          : [...prev, saved]
+      )
+    );
+    setReportDraft(null);
+    setStatus((prev) => ({ ...prev, message: "Report saved on this device." }));
+  }
+
+  function handleDeleteReport(report) {
+    if (!window.confirm(`Delete the report "${report.title}"?`)) return;
+    setReports((prev) => prev.filter((item) => item.id !== report.id));
+    setReportDraft(null);
+    setStatus((prev) => ({ ...prev, message: "Report deleted on this device." }));
+  }
+
+  function handleAddVital(reading) {
+    const vital = normalizeVital(reading);
+    const hasValue = ["weightKg", "systolic", "diastolic", "hbGdl", "glucoseMgdl"].some(
+      (key) => vital[key] !== ""
+    );
+    if (!vital.date || !hasValue) {
+      setStatus((prev) => ({ ...prev, message: "Add a date and at least one vital reading." }));
+      return false;
+    }
+    setVitals((prev) => sortVitals([...prev, vital]));
+    setStatus((prev) => ({ ...prev, message: "Vitals logged on this device." }));
+    return true;
+  }
+
+  function handleDeleteVital(vital) {
+    if (!window.confirm(`Delete the vitals reading from ${vital.date}?`)) return;
+    setVitals((prev) => prev.filter((item) => item.id !== vital.id));
+  }
+
+  function handleSaveMedication(values) {
+    const medication = normalizeMedication(values);
+    setMedications((prev) =>
+      sortMedications([...prev.filter((item) => item.id !== medication.id), medication])
+    );
+    setStatus((prev) => ({ ...prev, message: "Medication saved on this device." }));
+  }
+
+  function handleDeleteMedication(medication) {
+    if (!window.confirm(`Delete ${medication.name} and its check-offs?`)) return;
+    setMedications((prev) => prev.filter((item) => item.id !== medication.id));
+    setDoses((prev) => prev.filter((dose) => dose.medicationId !== medication.id));
+  }
+
+  function handleSetDosesTaken(medicationId, date, taken) {
+    setDoses((prev) => setDosesTaken(prev, medicationId, date, taken));
+  }
+
+  function handleAddKickSession(session) {
+    setKickSessions((prev) => sortKickSessions([...prev, session]));
+    setStatus((prev) => ({ ...prev, message: `Kick session saved: ${formatKickSession(session)}.` }));
+  }
+
+  function handleDeleteKickSession(session) {
+    if (!window.confirm("Delete this kick counting session?")) return;
+    setKickSessions((prev) => prev.filter((item) => item.id !== session.id));
+  }
+
+  function handleAddContraction(contraction) {
+    setContractions((prev) => sortContractions([...prev, contraction]));
+  }
+
+  function handleDeleteContraction(contraction) {
+    setContractions((prev) => prev.filter((item) => item.id !== contraction.id));
+  }
+
+  function handleImportCalendar(text) {
+    const imported = parseCalendar(text);
+    if (imported.length === 0) {
+      setStatus((prev) => ({ ...prev, message: "No events found in the calendar file." }));
+      return;
+    }
+    const merged = mergeImportedEvents(events, imported);
+    setEvents(sortEvents(merged.events));
+    setStatus((prev) => ({
+      ...prev,
+      message: `Imported ${merged.added} new and updated ${merged.updated} existing events on this device.`,
+    }));
+  }
+
+  function updateSettings(changes) {
+    setSettings((prev) => {
+      const updated = { ...prev, ...changes };
+      storeSettings(updated);
+      return updated;
+    });
+  }
+
+  async function handleUnlockToken(value) {
+    const token = await unlockToken(value);
+    setSettings((prev) => ({ ...prev, token }));
+    setTokenLocked(false);
+  }
+
+  async function handleSaveConnection(connection, { storage, passphrase: tokenPassphrase }) {
+    await saveToken(connection.token, { storage, passphrase: tokenPassphrase });
+    updateSettings({ ...connection, tokenStorage: storage });
+    setStatus((prev) => ({
+      ...prev,
+      message: "Saved the GitHub connection. Load from repo to read the data from the branch.",
+    }));
+  }
+
+  function handleForgetCredentials() {
+    forgetToken();
+    updateSettings({ token: "" });
+    setStatus((prev) => ({ ...prev, message: "Removed the GitHub token from this browser." }));
   }
 
   function handleSettingsChange(event) {
     const { name, value } = event.target;
-    const updated = { ...settings, [name]: value };
-    setSettings(updated);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
+    updateSettings({ [name]: value });
+  }
+
+  // In passphrase mode only the envelope is written and the plain JSON and workbook are deleted
+  // in the same commit; switching back does the reverse.
+  async function commitData(github, data, parentSha) {
+    const dataPath = settings.encrypt ? settings.encryptedPath : settings.jsonPath;
+    const files = settings.encrypt
+      ? [
+          {
+            path: settings.encryptedPath,
+            content: stringToBase64(buildEnvelopeBody(await encryptText(buildJsonBody(data), passphrase))),
+          },
+        ]
+      : [
+          { path: settings.jsonPath, content: stringToBase64(buildJsonBody(data)) },
+          { path: settings.xlsxPath, content: arrayBufferToBase64(await buildWorkbookBuffer(data)) },
+        ];
+    const result = await github.commitFiles({
+      parentSha,
+      message: "Update pregnancy data",
+      files,
+      remove: settings.encrypt ? [settings.jsonPath, settings.xlsxPath] : [settings.encryptedPath],
+    });
+    setSyncBase({ sha: result.blobs[dataPath], data });
+    setDataSource({
+      kind: "repo",
+      branch: github.branch,
+      commitSha: result.commitSha,
+      path: dataPath,
+    });
+    setDivergence([]);
+  }
+
+  // The data file on the branch, whichever form it is in, with the sha sync compares against.
+  async function readRemoteData(github, headSha) {
+    const encrypted = await github.getFile(settings.encryptedPath, headSha);
+    if (encrypted) {
+      const text = await decryptText(JSON.parse(encrypted.content), passphrase);
+      return { sha: encrypted.sha, data: parseJsonData(JSON.parse(text)) };
+    }
+    const json = await github.getFile(settings.jsonPath, headSha);
+    return json ? { sha: json.sha, data: parseJsonData(JSON.parse(json.content)) } : null;
   }
 
   async function handleSync() {
-    if (!settings.owner || !settings.repo || !settings.token) {
+    if (!hasRepoSettings(settings)) {
       setStatus((prev) => ({
         ...prev,
         message: "Add GitHub owner, repo, and token before syncing.",
@@ -367,38 +817,47 @@ function App() {
       return;
     }
 
+    if (settings.encrypt && (!passphrase || passphrase !== passphraseConfirm)) {
+      setStatus((prev) => ({
+        ...prev,
+        message: passphrase
+          ? "The passphrases do not match."
+          : "Enter a passphrase before syncing encrypted data.",
+      }));
+      return;
+    }
+
+    if (divergence.length > 0) {
+      setReviewingDivergence(true);
+      setStatus((prev) => ({
+        ...prev,
+        message: "The Excel and JSON files differ. Choose what to keep before syncing.",
+      }));
+      return;
+    }
+
     setStatus((prev) => ({ ...prev, saving: true, message: "" }));
 
     try {
-      const jsonBody = JSON.stringify({ events }, null, 2);
-      const jsonContent = stringToBase64(jsonBody);
-
-      const sheet = XLSX.utils.json_to_sheet(events);
-      const workbook = XLSX.utils.book_new();
-      XLSX.utils.book_append_sheet(workbook, sheet, "Events");
-      const xlsxBuffer = XLSX.write(workbook, { type: "array", bookType: "xlsx" });
-      const xlsxContent = arrayBufferToBase64(xlsxBuffer);
-
-      await putGitHubFile({
-        owner: settings.owner,
-        repo: settings.repo,
-        path: settings.jsonPath,
-        branch: settings.branch,
-        token: settings.token,
-        content: jsonContent,
-        message: "Update pregnancy data JSON",
-      });
-
-      await putGitHubFile({
-        owner: settings.owner,
-        repo: settings.repo,
-        path: settings.xlsxPath,
-        branch: settings.branch,
-        token: settings.token,
-        content: xlsxContent,
-        message: "Update pregnancy data Excel",
-      });
+      const github = createGitHubClient(settings);
+      const headSha = await github.getBranchHead();
+      const remote = await readRemoteData(github, headSha);
+      if (remote && remote.sha !== syncBase.sha) {
+        const remoteData = remote.data;
+        const baseData = syncBase.data || remoteData;
+        const remoteMoved = buildJsonBody(remoteData) !== buildJsonBody(baseData);
+        const rows = remoteMoved ? buildMergePreview(baseData, currentData, remoteData) : [];
+        if (rows.length > 0) {
+          setMergePreview({ rows, headSha });
+          setStatus((prev) => ({
+            ...prev,
+            message: "The data on GitHub changed since it was loaded. Review the merge before syncing.",
+          }));
+          return;
+        }
+      }
 
+      await commitData(github, currentData, headSha);
       setStatus((prev) => ({
         ...prev,
         message: "Synced data to GitHub.",
@@ -413,6 +872,151 @@ function App() {
     }
   }
 
+  function handleReloadFromRepo() {
+    if (!hasRepoSettings(settings)) {
+      setStatus((prev) => ({
+        ...prev,
+        message: "Add GitHub owner, repo, and token to load data from the repo.",
+      }));
+      return;
+    }
+    if (pendingChanges.length > 0 && !window.confirm("Replace your unsynced changes with the data on GitHub?")) {
+      return;
+    }
+    reloadData(settings);
+  }
+
+  async function handleOpenHistory() {
+    if (!hasRepoSettings(settings)) {
+      setStatus((prev) => ({
+        ...prev,
+        message: "Add GitHub owner, repo, and token to browse the data history.",
+      }));
+      return;
+    }
+    setStatus((prev) => ({ ...prev, message: "" }));
+    try {
+      const commits = await listDataCommits(createGitHubClient(settings), [
+        settings.jsonPath,
+        settings.encryptedPath,
+      ]);
+      if (commits.length === 0) {
+        setStatus((prev) => ({ ...prev, message: `No commits have changed ${settings.jsonPath} yet.` }));
+        return;
+      }
+      setHistoryCommits(commits);
+    } catch (error) {
+      setStatus((prev) => ({ ...prev, message: error.message || "Unable to load the history." }));
+    }
+  }
+
+  async function loadHistoryVersion(sha) {
+    const version = await readRemoteData(createGitHubClient(settings), sha);
+    return version ? version.data : null;
+  }
+
+  function handleRestoreVersion(data, commit) {
+    if (!window.confirm("Replace the working copy with this version? Unsynced changes will be lost.")) return;
+    applyData(data);
+    setHistoryCommits(null);
+    setStatus((prev) => ({
+      ...prev,
+      message: `Restored the version from "${firstLine(commit.message)}". Sync to write it to GitHub.`,
+    }));
+  }
+
+  // Production loads only the JSON, so drift from the workbook is looked for on request.
+  async function handleCheckWorkbook() {
+    if (dataSource?.kind !== "repo" || settings.encrypt) {
+      setStatus((prev) => ({
+        ...prev,
+        message: "Load the data from the repo without passphrase mode to compare it with the Excel file.",
+      }));
+      return;
+    }
+    setStatus((prev) => ({ ...prev, saving: true, message: "" }));
+    try {
+      const sheet = await fetchRepoSheet(createGitHubClient(settings), settings.xlsxPath, dataSource.commitSha);
+      if (!sheet) {
+        setStatus((prev) => ({ ...prev, message: `${settings.xlsxPath} does not exist at this commit.` }));
+        return;
+      }
+      const rows = compareSources(syncBase.data, sheet.data);
+      setDivergence(rows);
+      setImportIssues((prev) => [...prev.filter((issue) => issue.source.startsWith("JSON")), ...sheet.issues]);
+      setStatus((prev) => ({
+        ...prev,
+        message: rows.length === 0 ? "The Excel file matches the JSON." : "",
+      }));
+    } catch (error) {
+      setStatus((prev) => ({ ...prev, message: error.message || "Unable to read the Excel file." }));
+    } finally {
+      setStatus((prev) => ({ ...prev, saving: false }));
+    }
+  }
+
+  // Puts a row's "remote" side into the working copy: the synced version when reverting an
+  // unsynced change, or a past version's record when restoring from history.
+  function handleRevertChange(row) {
+    applyData(applyMerge(currentData, [{ ...row, choice: "remote" }]));
+  }
+
+  function handleDiscardChanges() {
+    if (!window.confirm(`Discard ${pendingChanges.length} unsynced changes on this device?`)) return;
+    applyData(syncBase.data);
+    setReviewingChanges(false);
+    setStatus((prev) => ({ ...prev, message: "Discarded unsynced changes." }));
+  }
+
+  function handleDivergenceChoice(key, choice) {
+    setDivergence((prev) => prev.map((row) => (row.key === key ? { ...row, choice } : row)));
+  }
+
+  function handleDivergenceChooseAll(choice) {
+    setDivergence((prev) => prev.map((row) => ({ ...row, choice })));
+  }
+
+  // Only the rows resolved in favour of the workbook touch the working copy, so local edits to
+  // records kept from the JSON survive.
+  function handleConfirmReconcile() {
+    const fromSheet = divergence.filter((row) => row.choice === "remote");
+    applyData(applyMerge(currentData, fromSheet));
+    setDivergence([]);
+    setReviewingDivergence(false);
+    setStatus((prev) => ({
+      ...prev,
+      message: `Reconciled the data files (${fromSheet.length} taken from Excel). Sync to write both.`,
+    }));
+  }
+
+  function handleKeepJson() {
+    setDivergence([]);
+    setReviewingDivergence(false);
+  }
+
+  function handleMergeChoice(key, choice) {
+    setMergePreview((prev) => ({
+      ...prev,
+      rows: prev.rows.map((row) => (row.key === key ? { ...row, choice } : row)),
+    }));
+  }
+
+  async function handleConfirmMerge() {
+    const merged = applyMerge(currentData, mergePreview.rows);
+    applyData(merged);
+    setStatus((prev) => ({ ...prev, saving: true, message: "" }));
+    try {
+      await commitData(createGitHubClient(settings), merged, mergePreview.headSha);
+      setMergePreview(null);
+      setStatus((prev) => ({ ...prev, message: "Merged and synced data to GitHub." }));
+    } catch (error) {
+      setMergePreview(null);
+      setStatus((prev) => ({ ...prev, message: error.message || "Sync failed." }));
+    } finally {
+      setStatus((prev) => ({ ...prev, saving: false }));
+    }
+  }
+
   return (
     <Container maxWidth="md" sx={{ py: 6 }}>
       <Stack spacing={4}>
@@ -429,7 +1033,9 @@ function App() {
           </Typography>
           <Stack direction={{ xs: "column", sm: "row" }} spacing={1.5} justifyContent="center" mt={3}>
             <Chip
-              label={`LMP start: ${format(parseISO(startDate), "MMM d, yyyy")}`}
+              label={
+                dating?.lmp ? `LMP start: ${format(dating.lmp, "MMM d, yyyy")}` : "LMP not set"
+              }
               sx={{ bgcolor: "white", border: "1px solid rgba(255,122,162,0.4)" }}
             />
             <Chip
@@ -440,9 +1046,65 @@ function App() {
               label={`Pregnancy month: ${pregnancyProgress.pregnancyMonth}`}
               sx={{ bgcolor: "white", border: "1px solid rgba(126,140,255,0.4)" }}
             />
+            {pregnancyProgress.edd ? (
+              <Chip
+                label={`EDD: ${format(pregnancyProgress.edd, "MMM d, yyyy")}${
+                  dating.method === "ultrasound" ? " (scan)" : ""
+                }`}
+                sx={{ bgcolor: "white", border: "1px solid rgba(255,122,162,0.4)" }}
+              />
+            ) : null}
+            {pendingChanges.length > 0 ? (
+              <Chip
+                color="secondary"
+                label={`${pendingChanges.length} unsynced change${pendingChanges.length === 1 ? "" : "s"}`}
+                onClick={() => setReviewingChanges(true)}
+              />
+            ) : null}
           </Stack>
+          <Button
+            variant="outlined"
+            startIcon={<PrintOutlinedIcon />}
+            onClick={() => setShowingVisitReport(true)}
+            sx={{ mt: 2, borderRadius: 999, textTransform: "none" }}
+          >
+            Visit report
+          </Button>
         </Box>
 
+        {divergence.length > 0 ? (
+          <Alert
+            severity="warning"
+            sx={{ borderRadius: 3 }}
+            action={
+              <Stack direction="row" spacing={1}>
+                <Button color="inherit" size="small" onClick={() => setReviewingDivergence(true)}>
+                  Review
+                </Button>
+                <Button color="inherit" size="small" onClick={handleKeepJson}>
+                  Keep JSON
+                </Button>
+              </Stack>
+            }
+          >
+            The Excel and JSON data files disagree on {divergence.length} item
+            {divergence.length === 1 ? "" : "s"}. The JSON version is shown; pick what to keep before
+            the next sync writes both files.
+          </Alert>
+        ) : null}
+
+        <ImportReportCard issues={importIssues} />
+
+        {vitalAlerts.length > 0 ? (
+          <Stack spacing={1}>
+            {vitalAlerts.map((alert) => (
+              <Alert key={`${alert.key}-${alert.vitalId}`} severity="warning" sx={{ borderRadius: 3 }}>
+                {format(parseISO(alert.date), "MMM d")}: {alert.message}
+              </Alert>
+            ))}
+          </Stack>
+        ) : null}
+
         <Card
           sx={{
             bgcolor: "#0b1025",
@@ -452,28 +1114,61 @@ function App() {
           }}
         >
           <CardContent sx={{ p: { xs: 3, md: 4 } }}>
-            <Stack direction="row" alignItems="center" justifyContent="space-between">
-              <IconButton
-                onClick={() => setCurrentMonth((prev) => addMonths(prev, -1))}
-                sx={{ color: "white", border: "1px solid rgba(255,255,255,0.2)" }}
+            <Stack direction="row" justifyContent="center" mb={2}>
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={calendarView}
+                onChange={(_, value) => value && setCalendarView(value)}
+                sx={{
+                  "& .MuiToggleButton-root": {
+                    color: "rgba(255,255,255,0.7)",
+                    borderColor: "rgba(255,255,255,0.2)",
+                    px: 2,
+                  },
+                  "& .MuiToggleButton-root.Mui-selected": {
+                    color: "white",
+                    bgcolor: "rgba(95,157,255,0.35)",
+                  },
+                }}
               >
-                <ChevronLeftIcon />
-              </IconButton>
+                <ToggleButton value="month">Month</ToggleButton>
+                <ToggleButton value="weeks">Weeks</ToggleButton>
+              </ToggleButtonGroup>
+            </Stack>
+            {calendarView === "month" ? (
+              <Stack direction="row" alignItems="center" justifyContent="space-between">
+                <IconButton
+                  onClick={() => setCurrentMonth((prev) => addMonths(prev, -1))}
+                  sx={{ color: "white", border: "1px solid rgba(255,255,255,0.2)" }}
+                >
+                  <ChevronLeftIcon />
+                </IconButton>
+                <Box textAlign="center">
+                  <Typography variant="overline" sx={{ color: "rgba(255,255,255,0.6)", letterSpacing: "0.3em" }}>
+                    Month
+                  </Typography>
+                  <Typography variant="h3" sx={{ fontSize: { xs: 24, md: 32 } }}>
+                    {format(currentMonth, "MMMM yyyy")}
+                  </Typography>
+                </Box>
+                <IconButton
+                  onClick={() => setCurrentMonth((prev) => addMonths(prev, 1))}
+                  sx={{ color: "white", border: "1px solid rgba(255,255,255,0.2)" }}
+                >
+                  <ChevronRightIcon />
+                </IconButton>
+              </Stack>
+            ) : (
               <Box textAlign="center">
                 <Typography variant="overline" sx={{ color: "rgba(255,255,255,0.6)", letterSpacing: "0.3em" }}>
-                  Month
+                  Gestational weeks
                 </Typography>
                 <Typography variant="h3" sx={{ fontSize: { xs: 24, md: 32 } }}>
-                  {format(currentMonth, "MMMM yyyy")}
+                  {pregnancyProgress.weekNumber ? `Now in week ${pregnancyProgress.weekNumber}` : "Weeks 0–42"}
                 </Typography>
               </Box>
-              <IconButton
-                onClick={() => setCurrentMonth((prev) => addMonths(prev, 1))}
-                sx={{ color: "white", border: "1px solid rgba(255,255,255,0.2)" }}
-              >
-                <ChevronRightIcon />
-              </IconButton>
-            </Stack>
+            )}
 
             <Stack direction="row" spacing={1.5} justifyContent="center" flexWrap="wrap" mt={3}>
               {topEvents.length === 0 ? (
@@ -483,7 +1178,7 @@ function App() {
               ) : (
                 topEvents.map((eventItem) => (
                   <Button
-                    key={`top-${eventItem.date}-${eventItem.title}`}
+                    key={`top-${eventItem.id}`}
                     size="small"
                     onClick={() => setSelectedDate(parseISO(eventItem.date))}
                     sx={{
@@ -505,110 +1200,84 @@ function App() {
               )}
             </Stack>
 
-            <Box
-              sx={{
-                mt: 3,
-                display: "grid",
-                gridTemplateColumns: "repeat(7, minmax(0, 1fr))",
-                gap: 1,
-                textAlign: "center",
-                fontSize: 12,
-                textTransform: "uppercase",
-                letterSpacing: "0.2em",
-                color: "rgba(255,255,255,0.6)",
-              }}
-            >
-              {["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"].map((day) => (
-                <span key={day}>{day}</span>
-              ))}
-            </Box>
+            <CategoryLegend
+              counts={categoryCounts}
+              hidden={hiddenCategories}
+              onToggle={handleToggleCategory}
+              onShowAll={() => setHiddenCategories([])}
+            />
 
-            <Box
-              sx={{
-                mt: 2,
-                display: "grid",
-                gridTemplateColumns: "repeat(7, minmax(0, 1fr))",
-                gap: 1,
-              }}
-            >
-              {calendarDays.map((day) => {
-                const key = format(day, "yyyy-MM-dd");
-                const isOutside = !isSameMonth(day, currentMonth);
-                const isSelected = isSameDay(day, selectedDate);
-                const hasEvent = Boolean(eventsByDate[key]?.length);
-                const isToday = key === pregnancyProgress.todayKey;
-                const isCurrentWeek =
-                  day >= pregnancyProgress.weekStart && day <= pregnancyProgress.weekEnd;
-                const dayEvents = eventsByDate[key] || [];
-
-                return (
-                  <Box
-                    key={key}
-                    component="button"
-                    onClick={() => setSelectedDate(day)}
-                    sx={{
-                      borderRadius: 3,
-                      border: "1px solid",
-                      borderColor: isOutside
-                        ? "transparent"
-                        : isCurrentWeek
-                        ? "rgba(255,255,255,0.35)"
-                        : "rgba(255,255,255,0.08)",
-                      backgroundColor: isOutside ? "transparent" : "rgba(255,255,255,0.04)",
-                      color: isOutside ? "rgba(255,255,255,0.3)" : "white",
-                      minHeight: { xs: 70, md: 86 },
-                      px: 1,
-                      py: 1,
-                      display: "flex",
-                      flexDirection: "column",
-                      alignItems: "center",
-                      justifyContent: "center",
-                      gap: 0.5,
-                      cursor: "pointer",
-                      transition: "all 0.2s ease",
-                      ...(isSelected && {
-                        borderColor: "rgba(95,157,255,0.9)",
-                        backgroundColor: "rgba(95,157,255,0.2)",
-                      }),
-                      ...(isToday && {
-                        borderColor: "rgba(255,122,162,0.9)",
-                        backgroundColor: "rgba(255,122,162,0.2)",
-                        boxShadow: "0 0 0 3px rgba(255,122,162,0.25)",
-                      }),
-                      "&:hover": {
-                        borderColor: "rgba(255,255,255,0.35)",
-                      },
-                    }}
-                  >
-                    <Typography variant="body2" sx={{ fontWeight: 600 }}>
-                      {format(day, "d")}
-                    </Typography>
-                    <Box
-                      sx={{
-                        width: 6,
-                        height: 6,
-                        borderRadius: "50%",
-                        bgcolor: hasEvent ? "secondary.main" : "transparent",
-                      }}
-                    />
-                    {dayEvents.length > 0 ? (
-                      <Typography
-                        variant="caption"
-                        sx={{
-                          color: "rgba(255,255,255,0.7)",
-                          display: "-webkit-box",
-                          WebkitLineClamp: 2,
-                          WebkitBoxOrient: "vertical",
-                          overflow: "hidden",
-                        }}
-                      >
-                        {dayEvents[0].title}
-                      </Typography>
-                    ) : null}
-                  </Box>
-                );
-              })}
-            </Box>
+            {calendarView === "weeks" ? (
+              <WeekTimeline
+                timeline={weekTimeline}
+                currentWeek={dating ? pregnancyProgress.weekNumber : null}
+                selectedWeek={selectedWeek}
+                onSelectDate={handleSelectDate}
+              />
+            ) : (
+              <>
+                <Box
+                  sx={{
+                    mt: 3,
+                    display: "grid",
+                    gridTemplateColumns: "repeat(7, minmax(0, 1fr))",
+                    gap: 1,
+                    textAlign: "center",
+                    fontSize: 12,
+                    textTransform: "uppercase",
+                    letterSpacing: "0.2em",
+                    color: "rgba(255,255,255,0.6)",
+                  }}
+                >
+                  {["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"].map((day) => (
+                    <span key={day}>{day}</span>
+                  ))}
+                </Box>
+
+                <Box
+                  sx={{
+                    mt: 2,
+                    display: "grid",
+                    gridTemplateColumns: "repeat(7, minmax(0, 1fr))",
+                    gap: 1,
+                  }}
+                >
+                  {calendarDays.map((day) => {
+                    const key = format(day, "yyyy-MM-dd");
+                    const isOutside = !isSameMonth(day, currentMonth);
+                    const isSelected = isSameDay(day, selectedDate);
+                    const isToday = key === pregnancyProgress.todayKey;
+                    const isCurrentWeek =
+                      Boolean(pregnancyProgress.weekStart) &&
+                      day >= pregnancyProgress.weekStart &&
+                      day <= pregnancyProgress.weekEnd;
+                    const dayEvents = eventsByDate[key] || [];
+                    const dayTentative = tentativeByDate[key] || [];
+                    const age = getGestationalAge(dating, day);
+                    const gestationalAge =
+                      age && age.weeks <= TIMELINE_WEEKS ? formatGestationalAge(age) : "";
+
+                    return (
+                      <CalendarDayCell
+                        key={key}
+                        day={day}
+                        events={dayEvents}
+                        tentative={dayTentative}
+                        gestationalAge={gestationalAge}
+                        marker={calendarMarkers[key]}
+                        missedDoses={missedDoses[key] || 0}
+                        monitoring={monitoringByDate[key]?.label}
+                        isOutside={isOutside}
+                        isSelected={isSelected}
+                        isToday={isToday}
+                        isCurrentWeek={isCurrentWeek}
+                        onSelect={setSelectedDate}
+                      />
+                    );
+                  })}
+                </Box>
+              </>
+            )}
 
             <Box mt={3} p={2} sx={{ bgcolor: "rgba(255,255,255,0.08)", borderRadius: 3 }}>
               <Typography variant="overline" sx={{ color: "rgba(255,255,255,0.6)", letterSpacing: "0.3em" }}>
@@ -623,14 +1292,58 @@ function App() {
                 </Typography>
               ) : (
                 <Stack spacing={1.5} mt={2}>
-                  {selectedEvents.map((eventItem, index) => (
+                  {selectedEvents.map((eventItem) => (
                     <Box
-                      key={`${eventItem.date}-${index}`}
+                      key={eventItem.id}
                       sx={{ bgcolor: "rgba(255,255,255,0.08)", borderRadius: 2, p: 1.5 }}
                     >
-                      <Typography variant="overline" sx={{ color: "rgba(255,122,162,0.9)", letterSpacing: "0.2em" }}>
-                        {eventItem.type || "Event"}
-                      </Typography>
+                      <Stack direction="row" alignItems="center" justifyContent="space-between">
+                        <Stack
+                          direction="row"
+                          alignItems="center"
+                          spacing={1}
+                          sx={{ color: getEventCategory(eventItem.category).color }}
+                        >
+                          <CategoryIcon category={eventItem.category} fontSize="small" />
+                          <Typography variant="overline" sx={{ letterSpacing: "0.2em" }}>
+                            {eventItem.type || getEventCategory(eventItem.category).label}
+                          </Typography>
+                        </Stack>
+                        <Stack direction="row" spacing={0.5}>
+                          <IconButton
+                            size="small"
+                            aria-label="Edit event"
+                            onClick={() => handleEditEvent(eventItem)}
+                            sx={{ color: "rgba(255,255,255,0.7)" }}
+                          >
+                            <EditOutlinedIcon fontSize="small" />
+                          </IconButton>
+                          <IconButton
+                            size="small"
+                            aria-label="Duplicate event"
+                            onClick={() => handleDuplicateEvent(eventItem)}
+                            sx={{ color: "rgba(255,255,255,0.7)" }}
+                          >
+                            <ContentCopyIcon fontSize="small" />
+                          </IconButton>
+                          <IconButton
+                            size="small"
+                            aria-label="Add report"
+                            onClick={() => handleNewReport(eventItem)}
+                            sx={{ color: "rgba(255,255,255,0.7)" }}
+                          >
+                            <NoteAddOutlinedIcon fontSize="small" />
+                          </IconButton>
+                          <IconButton
+                            size="small"
+                            aria-label="Delete event"
+                            onClick={() => handleDeleteEvent(eventItem)}
+                            sx={{ color: "rgba(255,122,162,0.9)" }}
+                          >
+                            <DeleteOutlineIcon fontSize="small" />
+                          </IconButton>
+                        </Stack>
+                      </Stack>
                       <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
                         {eventItem.title}
                       </Typography>
@@ -643,6 +1356,48 @@ function App() {
                   ))}
                 </Stack>
               )}
+              {selectedMonitoring ? (
+                <Stack spacing={0.5} mt={2}>
+                  {selectedMonitoring.kickSessions.map((session) => (
+                    <Typography key={session.id} variant="body2" sx={{ color: "rgba(255,255,255,0.8)" }}>
+                      Kick count at {format(parseISO(session.startedAt), "HH:mm")}:{" "}
+                      {formatKickSession(session)}
+                    </Typography>
+                  ))}
+                  {selectedMonitoring.contractions.length > 0 ? (
+                    <Typography variant="body2" sx={{ color: "rgba(255,255,255,0.8)" }}>
+                      {selectedMonitoring.contractionStats.count} contractions, lasting{" "}
+                      {formatSeconds(selectedMonitoring.contractionStats.averageDuration)} on average,{" "}
+                      {formatSeconds(selectedMonitoring.contractionStats.averageInterval)} apart
+                    </Typography>
+                  ) : null}
+                </Stack>
+              ) : null}
+              {selectedWindows.length > 0 ? (
+                <Stack spacing={1} mt={2}>
+                  {selectedWindows.map((item) => (
+                    <Stack
+                      key={item.id}
+                      direction="row"
+                      alignItems="center"
+                      justifyContent="space-between"
+                      sx={{ border: "1px dashed rgba(255,255,255,0.25)", borderRadius: 2, px: 1.5, py: 1 }}
+                    >
+                      <Box>
+                        <Typography variant="caption" sx={{ color: "rgba(255,255,255,0.6)" }}>
+                          {item.status === "overdue" ? "Overdue window" : "Recommended window"}
+                        </Typography>
+                        <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                          {item.title}
+                        </Typography>
+                      </Box>
+                      <Button size="small" onClick={() => handlePlanWindow(item)} sx={{ color: "white" }}>
+                        Plan
+                      </Button>
+                    </Stack>
+                  ))}
+                </Stack>
+              ) : null}
             </Box>
           </CardContent>
         </Card>
@@ -656,18 +1411,24 @@ function App() {
               <Typography variant="h3" sx={{ fontSize: 24, mt: 1 }}>
                 Key scans
               </Typography>
-              <Stack spacing={2} mt={2}>
-                {ultrasoundEvents.length === 0 ? (
+              <Stack spacing={2} mt={2} sx={{ maxHeight: 360, overflowY: "auto", pr: 1 }}>
+                {scanEvents.length === 0 ? (
                   <Typography variant="body2" color="text.secondary">
-                    Add ultrasound appointments to highlight them here.
+                    Add events in the Scan category to list them here.
                   </Typography>
                 ) : (
-                  ultrasoundEvents.map((eventItem) => (
-                    <Card key={eventItem.date} variant="outlined" sx={{ borderRadius: 3 }}>
+                  scanEvents.map((eventItem) => (
+                    <Card key={eventItem.id} variant="outlined" sx={{ borderRadius: 3 }}>
                       <CardContent>
-                        <Typography variant="overline" sx={{ color: "primary.main" }}>
-                          {eventItem.type}
-                        </Typography>
+                        <Stack
+                          direction="row"
+                          alignItems="center"
+                          spacing={1}
+                          sx={{ color: getEventCategory(eventItem.category).color }}
+                        >
+                          <CategoryIcon category={eventItem.category} fontSize="small" />
+                          <Typography variant="overline">{eventItem.type || "Scan"}</Typography>
+                        </Stack>
                         <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
                           {eventItem.title}
                         </Typography>
@@ -688,9 +1449,9 @@ function App() {
                 Add to calendar
               </Typography>
               <Typography variant="h3" sx={{ fontSize: 24, mt: 1 }}>
-                New appointment
+                {editingId ? "Edit appointment" : "New appointment"}
               </Typography>
-              <Stack spacing={2} mt={2} component="form" onSubmit={handleAddEvent}>
+              <Stack spacing={2} mt={2} component="form" onSubmit={handleSubmitEvent}>
                 <TextField
                   type="date"
                   name="date"
@@ -706,6 +1467,24 @@ function App() {
                   onChange={handleFormChange}
                   size="small"
                 />
+                <TextField
+                  select
+                  name="category"
+                  label="Category"
+                  value={form.category}
+                  onChange={handleFormChange}
+                  size="small"
+                >
+                  <MenuItem value="">Automatic (from type)</MenuItem>
+                  {eventCategories.map((category) => (
+                    <MenuItem key={category.key} value={category.key}>
+                      <Stack direction="row" alignItems="center" spacing={1}>
+                        <CategoryIcon category={category.key} fontSize="small" sx={{ color: category.color }} />
+                        <span>{category.label}</span>
+                      </Stack>
+                    </MenuItem>
+                  ))}
+                </TextField>
                 <TextField
                   name="title"
                   placeholder="Title"
@@ -723,8 +1502,13 @@ function App() {
                   rows={3}
                 />
                 <Button type="submit" variant="contained" color="secondary">
-                  Add event
+                  {editingId ? "Save changes" : "Add event"}
                 </Button>
+                {editingId ? (
+                  <Button variant="text" color="inherit" onClick={handleCancelEdit}>
+                    Cancel editing
+                  </Button>
+                ) : null}
               </Stack>
               {status.message ? (
                 <Typography variant="caption" color="text.secondary" sx={{ mt: 2 }}>
@@ -735,6 +1519,13 @@ function App() {
           </Card>
         </Stack>
 
+        <SearchCard
+          filters={filters}
+          results={searchResults}
+          onChange={setFilters}
+          onSelect={handleSelectDate}
+        />
+
         <Card sx={{ borderRadius: 4 }}>
           <CardContent>
             <Typography variant="overline" sx={{ letterSpacing: "0.3em", color: "primary.main" }}>
@@ -747,14 +1538,16 @@ function App() {
               <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
                 Loading data...
               </Typography>
-            ) : upcomingEvents.length === 0 ? (
+            ) : highlightEvents.length === 0 ? (
               <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
-                No upcoming events yet.
+                {hasActiveFilters(filters)
+                  ? "No upcoming events match the search filters."
+                  : "No upcoming events yet."}
               </Typography>
             ) : (
               <Stack spacing={2} mt={2} sx={{ maxHeight: 260, overflowY: "auto", pr: 1 }}>
-                {upcomingEvents.map((eventItem) => (
-                  <Card key={eventItem.date} variant="outlined" sx={{ borderRadius: 3 }}>
+                {highlightEvents.map((eventItem) => (
+                  <Card key={eventItem.id} variant="outlined" sx={{ borderRadius: 3 }}>
                     <CardContent>
                       <Typography variant="overline" sx={{ color: "secondary.main" }}>
                         {eventItem.type || "Event"}
@@ -775,25 +1568,41 @@ function App() {
 
         <Card sx={{ borderRadius: 4 }}>
           <CardContent>
-            <Typography variant="overline" sx={{ letterSpacing: "0.3em", color: "primary.main" }}>
-              Medical Progress Summary
-            </Typography>
+            <Stack direction="row" alignItems="center" justifyContent="space-between">
+              <Typography variant="overline" sx={{ letterSpacing: "0.3em", color: "primary.main" }}>
+                Medical Progress Summary
+              </Typography>
+              <Button size="small" onClick={() => handleNewReport()}>
+                Add report
+              </Button>
+            </Stack>
             <Typography variant="h3" sx={{ fontSize: 24, mt: 1 }}>
               From the latest reports
             </Typography>
             <Stack spacing={2} mt={2}>
-              {medicalSummary.map((item) => (
-                <Card key={item.title} variant="outlined" sx={{ borderRadius: 3 }}>
+              {summaryItems.map((item) => (
+                <Card key={item.key} variant="outlined" sx={{ borderRadius: 3 }}>
                   <CardContent>
-                    <Typography variant="overline" sx={{ color: "primary.main" }}>
-                      {item.date}
-                    </Typography>
+                    <Stack direction="row" alignItems="center" justifyContent="space-between">
+                      <Typography variant="overline" sx={{ color: "primary.main" }}>
+                        {item.date}
+                      </Typography>
+                      {item.report ? (
+                        <IconButton
+                          size="small"
+                          aria-label="Edit report"
+                          onClick={() => setReportDraft({ isNew: false, report: item.report })}
+                        >
+                          <EditOutlinedIcon fontSize="small" />
+                        </IconButton>
+                      ) : null}
+                    </Stack>
                     <Typography variant="h6" sx={{ fontWeight: 600 }}>
                       {item.title}
                     </Typography>
                     <Stack spacing={0.5} mt={1}>
-                      {item.points.map((point) => (
-                        <Typography key={point} variant="body2" color="text.secondary">
+                      {item.points.map((point, index) => (
+                        <Typography key={index} variant="body2" color="text.secondary">
                           • {point}
                         </Typography>
                       ))}
@@ -805,6 +1614,129 @@ function App() {
           </CardContent>
         </Card>
 
+        <GrowthChartsCard reports={reports} dating={dating} />
+
+        {reviewingChanges ? (
+          <PendingChangesDialog
+            rows={pendingChanges}
+            onRevert={handleRevertChange}
+            onDiscardAll={handleDiscardChanges}
+            onClose={() => setReviewingChanges(false)}
+          />
+        ) : null}
+
+        {reviewingDivergence ? (
+          <MergeDialog
+            rows={divergence}
+            title="Reconcile the Excel and JSON files"
+            confirmLabel="Apply"
+            changeLabels={sourceChangeLabels}
+            sideLabels={{ local: "JSON", remote: "Excel" }}
+            onChoiceChange={handleDivergenceChoice}
+            onChooseAll={handleDivergenceChooseAll}
+            onConfirm={handleConfirmReconcile}
+            onClose={() => setReviewingDivergence(false)}
+          />
+        ) : null}
+
+        {mergePreview ? (
+          <MergeDialog
+            rows={mergePreview.rows}
+            title="Merge changes from GitHub"
+            confirmLabel="Merge and sync"
+            busy={status.saving}
+            onChoiceChange={handleMergeChoice}
+            onConfirm={handleConfirmMerge}
+            onClose={() => setMergePreview(null)}
+          />
+        ) : null}
+
+        {visitReport ? (
+          <VisitReport report={visitReport} onClose={() => setShowingVisitReport(false)} />
+        ) : null}
+
+        {historyCommits ? (
+          <HistoryDialog
+            commits={historyCommits}
+            currentData={currentData}
+            loadVersion={loadHistoryVersion}
+            onRestoreVersion={handleRestoreVersion}
+            onRestoreRow={handleRevertChange}
+            onClose={() => setHistoryCommits(null)}
+          />
+        ) : null}
+
+        {tokenLocked ? (
+          <UnlockDialog
+            title="Unlock GitHub token"
+            description="The saved GitHub token is locked with a passphrase. Without it the app shows the data deployed with Pages."
+            onUnlock={handleUnlockToken}
+            onSkip={() => setTokenLocked(false)}
+          />
+        ) : locked ? (
+          <UnlockDialog
+            title="Enter passphrase"
+            description={`${locked.source.path} is encrypted. The passphrase is only kept in this tab and is never sent anywhere.`}
+            onUnlock={handleUnlock}
+          />
+        ) : null}
+
+        <VitalsCard
+          vitals={vitals}
+          profile={profile}
+          dating={dating}
+          todayKey={pregnancyProgress.todayKey}
+          onAdd={handleAddVital}
+          onDelete={handleDeleteVital}
+          onProfileChange={setProfile}
+        />
+
+        <MedicationsCard
+          medications={medications}
+          doses={doses}
+          dating={dating}
+          dateKey={format(selectedDate, "yyyy-MM-dd")}
+          todayKey={pregnancyProgress.todayKey}
+          onSave={handleSaveMedication}
+          onDelete={handleDeleteMedication}
+          onSetTaken={handleSetDosesTaken}
+        />
+
+        <LabourToolsCard
+          kickSessions={kickSessions}
+          contractions={contractions}
+          dating={dating}
+          onAddKickSession={handleAddKickSession}
+          onDeleteKickSession={handleDeleteKickSession}
+          onAddContraction={handleAddContraction}
+          onDeleteContraction={handleDeleteContraction}
+        />
+
+        {reportDraft ? (
+          <ReportDialog
+            key={reportDraft.report.id}
+            report={reportDraft.report}
+            isNew={reportDraft.isNew}
+            events={events}
+            onSave={handleSaveReport}
+            onDelete={handleDeleteReport}
+            onClose={() => setReportDraft(null)}
+          />
+        ) : null}
+
+        <ScheduleCard
+          schedule={schedule}
+          error={scheduleError}
+          onPlan={handlePlanWindow}
+          onSelectDate={handleSelectDate}
+        />
+
+        <ProfileCard profile={profile} dating={dating} onChange={setProfile} />
+
+        <CalendarFilesCard events={events} onImport={handleImportCalendar} />
+
+        <RemindersCard events={events} />
+
         <Card sx={{ borderRadius: 4 }}>
           <CardContent>
             <Stack direction={{ xs: "column", md: "row" }} spacing={2} alignItems="center" justifyContent="space-between">
@@ -816,52 +1748,71 @@ function App() {
                   Update data in the repo
                 </Typography>
               </Box>
-              <Button variant="contained" onClick={handleSync} disabled={status.saving}>
-                {status.saving ? "Syncing..." : "Sync to GitHub"}
-              </Button>
+              <Stack direction="row" spacing={1}>
+                <Button
+                  variant="text"
+                  onClick={() => setReviewingChanges(true)}
+                  disabled={pendingChanges.length === 0}
+                >
+                  Review {pendingChanges.length} unsynced
+                </Button>
+                <Button variant="text" onClick={handleOpenHistory} disabled={status.loading}>
+                  History
+                </Button>
+                <Button
+                  variant="text"
+                  onClick={handleCheckWorkbook}
+                  disabled={status.loading || status.saving || dataSource?.kind !== "repo" || settings.encrypt}
+                >
+                  Check Excel
+                </Button>
+                <Button
+                  variant="outlined"
+                  onClick={handleReloadFromRepo}
+                  disabled={status.loading || status.saving}
+                >
+                  {status.loading ? "Loading..." : "Load from repo"}
+                </Button>
+                <Button variant="contained" onClick={handleSync} disabled={status.saving}>
+                  {status.saving ? "Syncing..." : "Sync to GitHub"}
+                </Button>
+              </Stack>
             </Stack>
             <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
-              Use a classic PAT with repo scope. Settings are stored locally in your browser.
+              Use a fine-grained token limited to this repository (Contents: read and write), or a
+              classic PAT with repo scope. The connection is checked before it is saved; the token
+              is never stored in plain text.
             </Typography>
+            {dataSource?.kind === "repo" ? (
+              <Typography variant="body2" sx={{ mt: 1 }}>
+                Showing {dataSource.path} from {dataSource.branch} at commit{" "}
+                <Box
+                  component="a"
+                  href={`https://github.com/${settings.owner}/${settings.repo}/commit/${dataSource.commitSha}`}
+                  target="_blank"
+                  rel="noreferrer"
+                  sx={{ fontFamily: "monospace", color: "primary.main" }}
+                >
+                  {dataSource.commitSha.slice(0, 7)}
+                </Box>
+                .
+              </Typography>
+            ) : dataSource?.kind === "static" ? (
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                Showing the deployed copy of {dataSource.path}
+                {dataSource.reason ? ` (${dataSource.reason})` : ""}. It can lag behind the repo
+                until the Pages deploy finishes.
+              </Typography>
+            ) : null}
             <Divider sx={{ my: 3 }} />
             <Stack spacing={2}>
-              <Stack direction={{ xs: "column", md: "row" }} spacing={2}>
-                <TextField
-                  name="owner"
-                  label="GitHub owner"
-                  value={settings.owner}
-                  onChange={handleSettingsChange}
-                  fullWidth
-                  size="small"
-                />
-                <TextField
-                  name="repo"
-                  label="Repository"
-                  value={settings.repo}
-                  onChange={handleSettingsChange}
-                  fullWidth
-                  size="small"
-                />
-              </Stack>
-              <Stack direction={{ xs: "column", md: "row" }} spacing={2}>
-                <TextField
-                  name="branch"
-                  label="Branch (default main)"
-                  value={settings.branch}
-                  onChange={handleSettingsChange}
-                  fullWidth
-                  size="small"
-                />
-                <TextField
-                  name="token"
-                  label="GitHub token"
-                  type="password"
-                  value={settings.token}
-                  onChange={handleSettingsChange}
-                  fullWidth
-                  size="small"
-                />
-              </Stack>
+              <ConnectionPanel
+                key={tokenLocked ? "locked" : "unlocked"}
+                settings={settings}
+                onSave={handleSaveConnection}
+                onForget={handleForgetCredentials}
+              />
+              <Divider />
               <Stack direction={{ xs: "column", md: "row" }} spacing={2}>
                 <TextField
                   name="jsonPath"
@@ -880,6 +1831,51 @@ function App() {
                   size="small"
                 />
               </Stack>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={settings.encrypt}
+                    onChange={(event) => updateSettings({ encrypt: event.target.checked })}
+                  />
+                }
+                label="Encrypt synced data with a passphrase"
+              />
+              {settings.encrypt ? (
+                <>
+                  <Typography variant="body2" color="text.secondary">
+                    Syncing writes only {settings.encryptedPath} and deletes the JSON and Excel files,
+                    so the Pages site shows nothing without the passphrase. The passphrase is not
+                    stored anywhere; if it is lost, the data cannot be recovered.
+                  </Typography>
+                  <Stack direction={{ xs: "column", md: "row" }} spacing={2}>
+                    <TextField
+                      label="Passphrase"
+                      type="password"
+                      value={passphrase}
+                      onChange={(event) => setPassphrase(event.target.value)}
+                      fullWidth
+                      size="small"
+                    />
+                    <TextField
+                      label="Confirm passphrase"
+                      type="password"
+                      value={passphraseConfirm}
+                      onChange={(event) => setPassphraseConfirm(event.target.value)}
+                      error={Boolean(passphraseConfirm) && passphrase !== passphraseConfirm}
+                      fullWidth
+                      size="small"
+                    />
+                  </Stack>
+                  <TextField
+                    name="encryptedPath"
+                    label="public/data/pregnancy-data.enc.json"
+                    value={settings.encryptedPath}
+                    onChange={handleSettingsChange}
+                    fullWidth
+                    size="small"
+                  />
+                </>
+              ) : null}
               {status.error ? (
                 <Typography variant="body2" color="error">
                   {status.error}
@@ -0,0 +1,225 @@
+import { useState } from "react";
+import { format } from "date-fns";
+import { Box, ButtonBase, Popover, Stack, Typography } from "@mui/material";
+import { getEventCategory } from "../lib/eventTypes.js";
+
+function EventBadge({ eventItem }) {
+  const category = getEventCategory(eventItem.category);
+  return (
+    <Box
+      title={`${eventItem.type || category.label}: ${eventItem.title}`}
+      sx={{
+        width: "100%",
+        minHeight: 6,
+        borderRadius: 1,
+        px: 0.5,
+        bgcolor: category.color,
+        color: "white",
+        fontSize: 10,
+        lineHeight: 1.5,
+        textAlign: "left",
+        whiteSpace: "nowrap",
+        overflow: "hidden",
+        textOverflow: "ellipsis",
+      }}
+    >
+      <Box component="span" sx={{ display: { xs: "none", sm: "inline" } }}>
+        {eventItem.title}
+      </Box>
+    </Box>
+  );
+}
+
+function CalendarDayCell({
+  day,
+  events,
+  tentative,
+  gestationalAge,
+  marker,
+  missedDoses = 0,
+  monitoring,
+  isOutside,
+  isSelected,
+  isToday,
+  isCurrentWeek,
+  maxEvents = 2,
+  onSelect,
+}) {
+  const [overflowAnchor, setOverflowAnchor] = useState(null);
+  const visible = events.slice(0, maxEvents);
+  const hiddenCount = events.length - visible.length;
+
+  function handleKeyDown(event) {
+    if (event.target !== event.currentTarget) return;
+    if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      onSelect(day);
+    }
+  }
+
+  function handleShowMore(event) {
+    event.stopPropagation();
+    setOverflowAnchor(event.currentTarget);
+  }
+
+  return (
+    <Box
+      role="button"
+      tabIndex={0}
+      onClick={() => onSelect(day)}
+      onKeyDown={handleKeyDown}
+      sx={{
+        position: "relative",
+        borderRadius: 3,
+        border: "1px solid",
+        borderColor: isOutside
+          ? "transparent"
+          : isCurrentWeek
+          ? "rgba(255,255,255,0.35)"
+          : "rgba(255,255,255,0.08)",
+        backgroundColor: isOutside ? "transparent" : "rgba(255,255,255,0.04)",
+        color: isOutside ? "rgba(255,255,255,0.3)" : "white",
+        minHeight: { xs: 78, md: 104 },
+        px: 0.75,
+        py: 0.75,
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "stretch",
+        gap: 0.4,
+        cursor: "pointer",
+        transition: "all 0.2s ease",
+        ...(marker &&
+          !isOutside && {
+            borderLeft: `3px solid ${marker.color}`,
+          }),
+        ...(isSelected && {
+          borderColor: "rgba(95,157,255,0.9)",
+          backgroundColor: "rgba(95,157,255,0.2)",
+        }),
+        ...(isToday && {
+          borderColor: "rgba(255,122,162,0.9)",
+          backgroundColor: "rgba(255,122,162,0.2)",
+          boxShadow: "0 0 0 3px rgba(255,122,162,0.25)",
+        }),
+        "&:hover": {
+          borderColor: "rgba(255,255,255,0.35)",
+        },
+      }}
+    >
+      <Stack direction="row" alignItems="baseline" justifyContent="space-between" spacing={0.5}>
+        <Stack direction="row" alignItems="center" spacing={0.5}>
+          <Typography variant="body2" sx={{ fontWeight: 600 }}>
+            {format(day, "d")}
+          </Typography>
+          {missedDoses > 0 && !isOutside ? (
+            <Box
+              title={`${missedDoses} missed dose${missedDoses === 1 ? "" : "s"}`}
+              sx={{ width: 7, height: 7, borderRadius: "50%", bgcolor: "#ff8a80", flexShrink: 0 }}
+            />
+          ) : null}
+        </Stack>
+        {gestationalAge && !isOutside ? (
+          <Typography variant="caption" sx={{ fontSize: 10, color: "rgba(255,255,255,0.55)" }}>
+            {gestationalAge}
+          </Typography>
+        ) : null}
+      </Stack>
+      {marker && !isOutside ? (
+        <Typography
+          variant="caption"
+          sx={{ fontSize: 10, fontWeight: 700, color: marker.color, lineHeight: 1.2 }}
+        >
+          {marker.label}
+        </Typography>
+      ) : null}
+      {visible.map((eventItem) => (
+        <EventBadge key={eventItem.id} eventItem={eventItem} />
+      ))}
+      {hiddenCount > 0 ? (
+        <ButtonBase
+          onClick={handleShowMore}
+          sx={{
+            alignSelf: "flex-start",
+            fontSize: 10,
+            borderRadius: 1,
+            px: 0.5,
+            color: "rgba(255,255,255,0.8)",
+            "&:hover": { bgcolor: "rgba(255,255,255,0.12)" },
+          }}
+        >
+          +{hiddenCount} more
+        </ButtonBase>
+      ) : null}
+      {monitoring && !isOutside ? (
+        <Typography variant="caption" sx={{ fontSize: 10, color: "rgba(255,255,255,0.7)", lineHeight: 1.2 }}>
+          {monitoring}
+        </Typography>
+      ) : null}
+      {events.length === 0 && tentative.length > 0 && !isOutside ? (
+        <Typography
+          variant="caption"
+          sx={{
+            color: "rgba(255,255,255,0.5)",
+            fontStyle: "italic",
+            display: "-webkit-box",
+            WebkitLineClamp: 2,
+            WebkitBoxOrient: "vertical",
+            overflow: "hidden",
+            border: "1px dashed rgba(255,255,255,0.4)",
+            borderRadius: 1,
+            px: 0.5,
+          }}
+        >
+          {tentative[0].title}?
+        </Typography>
+      ) : null}
+
+      <Popover
+        open={Boolean(overflowAnchor)}
+        anchorEl={overflowAnchor}
+        onClose={() => setOverflowAnchor(null)}
+        onClick={(event) => event.stopPropagation()}
+        onKeyDown={(event) => event.stopPropagation()}
+        anchorOrigin={{ vertical: "bottom", horizontal: "left" }}
+      >
+        <Box sx={{ p: 1.5, minWidth: 220 }}>
+          <Typography variant="subtitle2" sx={{ mb: 1 }}>
+            {format(day, "EEEE, MMM d")}
+          </Typography>
+          <Stack spacing={0.75}>
+            {events.map((eventItem) => (
+              <ButtonBase
+                key={eventItem.id}
+                onClick={() => {
+                  setOverflowAnchor(null);
+                  onSelect(day);
+                }}
+                sx={{ justifyContent: "flex-start", gap: 1, borderRadius: 1, px: 0.5, py: 0.25 }}
+              >
+                <Box
+                  sx={{
+                    width: 10,
+                    height: 10,
+                    borderRadius: "50%",
+                    flexShrink: 0,
+                    bgcolor: getEventCategory(eventItem.category).color,
+                  }}
+                />
+                <Typography variant="body2" sx={{ textAlign: "left" }}>
+                  {eventItem.title}
+                  {eventItem.type ? (
+                    <Typography component="span" variant="caption" color="text.secondary">
+                      {` · ${eventItem.type}`}
+                    </Typography>
+                  ) : null}
+                </Typography>
+              </ButtonBase>
+            ))}
+          </Stack>
+        </Box>
+      </Popover>
+    </Box>
+  );
+}
+
+export default CalendarDayCell;
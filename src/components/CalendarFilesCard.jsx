@@ -0,0 +1,93 @@
+import { useRef, useState } from "react";
+import {
+  Button,
+  Card,
+  CardContent,
+  Checkbox,
+  FormControlLabel,
+  FormGroup,
+  Stack,
+  Typography,
+} from "@mui/material";
+import { alarmOptions, buildCalendar } from "../lib/ical.js";
+
+function downloadText(text, filename, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking straight away can cancel the download in Safari and Firefox.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function CalendarFilesCard({ events, onImport }) {
+  const [alarms, setAlarms] = useState([]);
+  const fileInput = useRef(null);
+
+  function handleAlarmToggle(value) {
+    setAlarms((prev) =>
+      prev.includes(value) ? prev.filter((item) => item !== value) : [...prev, value]
+    );
+  }
+
+  function handleExport() {
+    downloadText(buildCalendar(events, { alarms }), "pregnancy-calendar.ics", "text/calendar");
+  }
+
+  async function handleFileChange(event) {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    onImport(await file.text());
+  }
+
+  return (
+    <Card sx={{ borderRadius: 4 }}>
+      <CardContent>
+        <Typography variant="overline" sx={{ letterSpacing: "0.3em", color: "primary.main" }}>
+          Calendar Apps
+        </Typography>
+        <Typography variant="h3" sx={{ fontSize: 24, mt: 1 }}>
+          Export or import .ics
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          Events export as all-day entries for Google or Apple Calendar. Importing the same file
+          again updates matching events instead of adding copies.
+        </Typography>
+        <FormGroup row sx={{ mt: 2 }}>
+          {alarmOptions.map((option) => (
+            <FormControlLabel
+              key={option.value}
+              control={
+                <Checkbox
+                  size="small"
+                  checked={alarms.includes(option.value)}
+                  onChange={() => handleAlarmToggle(option.value)}
+                />
+              }
+              label={`Remind ${option.label}`}
+            />
+          ))}
+        </FormGroup>
+        <Stack direction={{ xs: "column", sm: "row" }} spacing={2} mt={2}>
+          <Button variant="contained" onClick={handleExport} disabled={events.length === 0}>
+            Export .ics
+          </Button>
+          <Button variant="outlined" onClick={() => fileInput.current?.click()}>
+            Import .ics
+          </Button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".ics,text/calendar"
+            hidden
+            onChange={handleFileChange}
+          />
+        </Stack>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default CalendarFilesCard;
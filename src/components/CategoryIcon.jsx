@@ -0,0 +1,23 @@
+import FavoriteBorderIcon from "@mui/icons-material/FavoriteBorder";
+import FlagOutlinedIcon from "@mui/icons-material/FlagOutlined";
+import MedicalServicesOutlinedIcon from "@mui/icons-material/MedicalServicesOutlined";
+import MonitorHeartOutlinedIcon from "@mui/icons-material/MonitorHeartOutlined";
+import ScienceOutlinedIcon from "@mui/icons-material/ScienceOutlined";
+import VaccinesOutlinedIcon from "@mui/icons-material/VaccinesOutlined";
+import { DEFAULT_CATEGORY } from "../lib/eventTypes.js";
+
+const icons = {
+  scan: MonitorHeartOutlinedIcon,
+  lab: ScienceOutlinedIcon,
+  vaccine: VaccinesOutlinedIcon,
+  consultation: MedicalServicesOutlinedIcon,
+  milestone: FlagOutlinedIcon,
+  personal: FavoriteBorderIcon,
+};
+
+function CategoryIcon({ category, ...props }) {
+  const Icon = icons[category] || icons[DEFAULT_CATEGORY];
+  return <Icon {...props} />;
+}
+
+export default CategoryIcon;
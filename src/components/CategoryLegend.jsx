@@ -0,0 +1,43 @@
+import { Chip, Stack } from "@mui/material";
+import { eventCategories } from "../lib/eventTypes.js";
+import CategoryIcon from "./CategoryIcon.jsx";
+
+// Doubles as the color legend and the category filter: hidden categories are shown outlined.
+function CategoryLegend({ counts, hidden, onToggle, onShowAll }) {
+  return (
+    <Stack direction="row" spacing={1} justifyContent="center" flexWrap="wrap" useFlexGap mt={2}>
+      {eventCategories.map((category) => {
+        const isHidden = hidden.includes(category.key);
+        return (
+          <Chip
+            key={category.key}
+            size="small"
+            icon={<CategoryIcon category={category.key} />}
+            label={`${category.label} · ${counts[category.key] || 0}`}
+            onClick={() => onToggle(category.key)}
+            aria-pressed={!isHidden}
+            variant={isHidden ? "outlined" : "filled"}
+            sx={{
+              color: isHidden ? "rgba(255,255,255,0.5)" : "white",
+              bgcolor: isHidden ? "transparent" : category.color,
+              borderColor: category.color,
+              "& .MuiChip-icon": { color: isHidden ? category.color : "white" },
+              "&:hover": { bgcolor: isHidden ? "rgba(255,255,255,0.08)" : category.color },
+            }}
+          />
+        );
+      })}
+      {hidden.length > 0 ? (
+        <Chip
+          size="small"
+          label="Show all"
+          onClick={onShowAll}
+          variant="outlined"
+          sx={{ color: "white", borderColor: "rgba(255,255,255,0.35)" }}
+        />
+      ) : null}
+    </Stack>
+  );
+}
+
+export default CategoryLegend;
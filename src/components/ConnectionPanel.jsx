@@ -0,0 +1,192 @@
+import { useState } from "react";
+import {
+  Alert,
+  Button,
+  FormControlLabel,
+  Radio,
+  RadioGroup,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { tokenStorageModes } from "../lib/credentials.js";
+import { createGitHubClient, reviewTokenScopes } from "../lib/github.js";
+
+function connectionKey({ owner, repo, branch, token }) {
+  return [owner, repo, branch, token].join("\n");
+}
+
+// Owner, repo, branch and token are edited here as a draft and only saved once GitHub has
+// confirmed that the token can push to that branch.
+function ConnectionPanel({ settings, onSave, onForget }) {
+  const [draft, setDraft] = useState({
+    owner: settings.owner,
+    repo: settings.repo,
+    branch: settings.branch,
+    token: settings.token,
+  });
+  const [storage, setStorage] = useState(settings.tokenStorage);
+  const [passphrase, setPassphrase] = useState("");
+  const [passphraseConfirm, setPassphraseConfirm] = useState("");
+  const [check, setCheck] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const verified = check?.ok && check.key === connectionKey(draft);
+  const passphraseReady = storage !== "locked" || (passphrase && passphrase === passphraseConfirm);
+  const warnings = check?.ok ? reviewTokenScopes(check.scopes) : [];
+
+  function handleChange(event) {
+    const { name, value } = event.target;
+    setDraft((prev) => ({ ...prev, [name]: value }));
+  }
+
+  async function handleCheck() {
+    setBusy(true);
+    setError("");
+    try {
+      const result = await createGitHubClient(draft).verifyConnection();
+      setCheck({ ...result, key: connectionKey(draft) });
+    } catch (checkError) {
+      setCheck(null);
+      setError(checkError.message || "GitHub could not be reached.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleSave() {
+    setBusy(true);
+    setError("");
+    try {
+      await onSave(draft, { storage, passphrase });
+      setPassphrase("");
+      setPassphraseConfirm("");
+    } catch (saveError) {
+      setError(saveError.message || "Unable to save the connection.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleForget() {
+    if (!window.confirm("Remove the GitHub token from this browser?")) return;
+    onForget();
+    setDraft((prev) => ({ ...prev, token: "" }));
+    setCheck(null);
+  }
+
+  return (
+    <Stack spacing={2}>
+      <Stack direction={{ xs: "column", md: "row" }} spacing={2}>
+        <TextField
+          name="owner"
+          label="GitHub owner"
+          value={draft.owner}
+          onChange={handleChange}
+          fullWidth
+          size="small"
+        />
+        <TextField
+          name="repo"
+          label="Repository"
+          value={draft.repo}
+          onChange={handleChange}
+          fullWidth
+          size="small"
+        />
+      </Stack>
+      <Stack direction={{ xs: "column", md: "row" }} spacing={2}>
+        <TextField
+          name="branch"
+          label="Branch (default main)"
+          value={draft.branch}
+          onChange={handleChange}
+          fullWidth
+          size="small"
+        />
+        <TextField
+          name="token"
+          label="GitHub token"
+          type="password"
+          value={draft.token}
+          onChange={handleChange}
+          fullWidth
+          size="small"
+        />
+      </Stack>
+
+      <RadioGroup row value={storage} onChange={(event) => setStorage(event.target.value)}>
+        {tokenStorageModes.map((mode) => (
+          <FormControlLabel
+            key={mode.value}
+            value={mode.value}
+            control={<Radio size="small" />}
+            label={mode.label}
+          />
+        ))}
+      </RadioGroup>
+      {storage === "locked" ? (
+        <Stack direction={{ xs: "column", md: "row" }} spacing={2}>
+          <TextField
+            label="Token passphrase"
+            type="password"
+            value={passphrase}
+            onChange={(event) => setPassphrase(event.target.value)}
+            fullWidth
+            size="small"
+          />
+          <TextField
+            label="Confirm passphrase"
+            type="password"
+            value={passphraseConfirm}
+            onChange={(event) => setPassphraseConfirm(event.target.value)}
+            error={Boolean(passphraseConfirm) && passphrase !== passphraseConfirm}
+            fullWidth
+            size="small"
+          />
+        </Stack>
+      ) : (
+        <Typography variant="body2" color="text.secondary">
+          The token is forgotten when this tab is closed.
+        </Typography>
+      )}
+
+      {error ? <Alert severity="error">{error}</Alert> : null}
+      {check && !check.ok ? <Alert severity="error">{check.problem}</Alert> : null}
+      {check?.ok ? (
+        <Alert severity={verified ? "success" : "info"}>
+          {verified
+            ? `Connected as ${check.login}. The token can push to ${draft.branch} in ${draft.owner}/${draft.repo}`
+            : "The settings changed since the last check. Check the connection again"}
+          {check.scopes === null
+            ? " (fine-grained token)."
+            : ` (scopes: ${check.scopes.join(", ") || "none"}).`}
+        </Alert>
+      ) : null}
+      {warnings.map((warning) => (
+        <Alert key={warning} severity="warning">
+          {warning}
+        </Alert>
+      ))}
+
+      <Stack direction="row" spacing={1}>
+        <Button
+          variant="outlined"
+          onClick={handleCheck}
+          disabled={busy || !draft.owner || !draft.repo || !draft.branch || !draft.token}
+        >
+          Check connection
+        </Button>
+        <Button variant="contained" onClick={handleSave} disabled={busy || !verified || !passphraseReady}>
+          Save
+        </Button>
+        <Button color="error" onClick={handleForget} disabled={busy}>
+          Forget credentials
+        </Button>
+      </Stack>
+    </Stack>
+  );
+}
+
+export default ConnectionPanel;
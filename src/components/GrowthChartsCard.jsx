@@ -0,0 +1,110 @@
+import { useMemo, useState } from "react";
+import { format, parseISO } from "date-fns";
+import { Card, CardContent, Chip, Stack, Tab, Tabs, Typography } from "@mui/material";
+import TrendChart from "./TrendChart.jsx";
+import { buildGrowthSeries, getReferenceRows, growthMetrics } from "../lib/growth.js";
+import { formatGestationalAge } from "../lib/pregnancy.js";
+
+function GrowthChartsCard({ reports, dating }) {
+  const [metricKey, setMetricKey] = useState(growthMetrics[0].key);
+  const metric = growthMetrics.find((item) => item.key === metricKey);
+  const rows = getReferenceRows(metricKey);
+
+  const series = useMemo(
+    () => (dating ? buildGrowthSeries(reports, dating, metricKey) : []),
+    [reports, dating, metricKey]
+  );
+
+  const xDomain = [
+    Math.min(rows[0].week, ...series.map((point) => Math.floor(point.gaWeeks))),
+    Math.max(rows[rows.length - 1].week, ...series.map((point) => Math.ceil(point.gaWeeks))),
+  ];
+
+  return (
+    <Card sx={{ borderRadius: 4 }}>
+      <CardContent>
+        <Typography variant="overline" sx={{ letterSpacing: "0.3em", color: "primary.main" }}>
+          Fetal Growth
+        </Typography>
+        <Typography variant="h3" sx={{ fontSize: 24, mt: 1 }}>
+          Biometry against reference centiles
+        </Typography>
+        <Tabs
+          value={metricKey}
+          onChange={(_, value) => setMetricKey(value)}
+          variant="scrollable"
+          allowScrollButtonsMobile
+          sx={{ mt: 1 }}
+        >
+          {growthMetrics.map((item) => (
+            <Tab key={item.key} value={item.key} label={item.label} />
+          ))}
+        </Tabs>
+        <TrendChart
+          xDomain={xDomain}
+          xLabel="Gestational age (weeks)"
+          yLabel={`${metric.label} (${metric.unit})`}
+          bands={[
+            {
+              color: "rgba(95,157,255,0.14)",
+              points: rows.map((row) => ({ x: row.week, low: row.p10, high: row.p90 })),
+            },
+          ]}
+          lines={[
+            { color: "rgba(95,157,255,0.5)", dashed: true, points: rows.map((row) => ({ x: row.week, y: row.p10 })) },
+            { color: "rgba(95,157,255,0.9)", points: rows.map((row) => ({ x: row.week, y: row.p50 })) },
+            { color: "rgba(95,157,255,0.5)", dashed: true, points: rows.map((row) => ({ x: row.week, y: row.p90 })) },
+            {
+              color: "#ff7aa2",
+              width: 2,
+              points: series.map((point) => ({ x: point.gaWeeks, y: point.value })),
+            },
+          ]}
+          points={series.map((point) => ({
+            x: point.gaWeeks,
+            y: point.value,
+            color: "#ff7aa2",
+            highlight: Boolean(point.flag),
+            label: `${point.title}: ${point.value} ${metric.unit} at ${formatGestationalAge(point.age)}`,
+          }))}
+        />
+        <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 1 }}>
+          Shaded band: 10th–90th centile, solid line: 50th. {metric.source}.
+        </Typography>
+        {!dating ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            Set the LMP in the pregnancy profile to plot measurements.
+          </Typography>
+        ) : series.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            No {metric.label} measurements recorded in the reports yet.
+          </Typography>
+        ) : (
+          <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap mt={2}>
+            {series.map((point) => (
+              <Chip
+                key={point.reportId}
+                size="small"
+                color={point.flag ? "error" : "default"}
+                variant={point.flag ? "filled" : "outlined"}
+                label={`${format(parseISO(point.date), "MMM d")} · ${formatGestationalAge(point.age)} · ${
+                  point.value
+                } ${metric.unit}${
+                  point.flag === "low"
+                    ? " (<10th)"
+                    : point.flag === "high"
+                    ? " (>90th)"
+                    : !point.reference
+                    ? " (outside reference range)"
+                    : ""
+                }`}
+              />
+            ))}
+          </Stack>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default GrowthChartsCard;
@@ -0,0 +1,212 @@
+import { useMemo, useState } from "react";
+import { format, parseISO } from "date-fns";
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { diffVersions, firstLine } from "../lib/history.js";
+import { changedFields } from "../lib/merge.js";
+
+const WORKING_COPY = "working";
+
+const changeLabels = {
+  added: "Only in this version",
+  removed: "Not in this version",
+  changed: "Different",
+};
+
+function formatCommitDate(commit) {
+  return commit.date ? format(parseISO(commit.date), "d MMM yyyy, HH:mm") : "";
+}
+
+function describeCommit(commit) {
+  return `${formatCommitDate(commit)} · ${firstLine(commit.message)}`;
+}
+
+// Lists the commits that changed the data and compares any of them with the working copy or with
+// another commit. Restoring only changes the working copy; nothing is written until the next sync.
+function HistoryDialog({ commits, currentData, loadVersion, onRestoreVersion, onRestoreRow, onClose }) {
+  const [selectedSha, setSelectedSha] = useState(null);
+  const [compareSha, setCompareSha] = useState(WORKING_COPY);
+  const [versions, setVersions] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const selected = commits.find((commit) => commit.sha === selectedSha);
+  const version = versions[selectedSha];
+  const compareData = compareSha === WORKING_COPY ? currentData : versions[compareSha];
+
+  const rows = useMemo(
+    () => (version && compareData ? diffVersions(version, compareData) : []),
+    [version, compareData]
+  );
+
+  async function ensureVersion(sha) {
+    if (versions[sha] !== undefined) return;
+    setLoading(true);
+    setError("");
+    try {
+      const data = await loadVersion(sha);
+      setVersions((prev) => ({ ...prev, [sha]: data }));
+    } catch (loadError) {
+      setError(loadError.message || "Unable to load this version.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function handleSelect(sha) {
+    setSelectedSha(sha);
+    if (compareSha === sha) setCompareSha(WORKING_COPY);
+    ensureVersion(sha);
+  }
+
+  function handleCompareChange(event) {
+    const { value } = event.target;
+    setCompareSha(value);
+    if (value !== WORKING_COPY) ensureVersion(value);
+  }
+
+  return (
+    <Dialog open onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Data history</DialogTitle>
+      <DialogContent dividers>
+        <Stack direction={{ xs: "column", md: "row" }} spacing={3}>
+          <Stack spacing={1} sx={{ width: { md: 260 }, flexShrink: 0, maxHeight: 480, overflowY: "auto" }}>
+            {commits.map((commit) => (
+              <Box
+                key={commit.sha}
+                component="button"
+                type="button"
+                onClick={() => handleSelect(commit.sha)}
+                sx={{
+                  textAlign: "left",
+                  font: "inherit",
+                  cursor: "pointer",
+                  bgcolor: commit.sha === selectedSha ? "action.selected" : "transparent",
+                  border: "1px solid",
+                  borderColor: commit.sha === selectedSha ? "primary.main" : "divider",
+                  borderRadius: 2,
+                  p: 1,
+                }}
+              >
+                <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                  {formatCommitDate(commit)}
+                </Typography>
+                <Typography variant="caption" color="text.secondary" component="p">
+                  {firstLine(commit.message)}
+                </Typography>
+                <Typography variant="caption" color="text.secondary" sx={{ fontFamily: "monospace" }}>
+                  {commit.sha.slice(0, 7)}
+                  {commit.author ? ` · ${commit.author}` : ""}
+                </Typography>
+              </Box>
+            ))}
+          </Stack>
+
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            {error ? (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            ) : null}
+            {!selected ? (
+              <Typography variant="body2" color="text.secondary">
+                Pick a version to see how it differs from your working copy.
+              </Typography>
+            ) : version === undefined ? (
+              loading ? <CircularProgress size={24} /> : null
+            ) : version === null ? (
+              <Typography variant="body2" color="text.secondary">
+                The data file does not exist in this version.
+              </Typography>
+            ) : (
+              <Stack spacing={1.5}>
+                <Stack direction={{ xs: "column", sm: "row" }} spacing={1} alignItems={{ sm: "center" }}>
+                  <TextField
+                    select
+                    label="Compare with"
+                    value={compareSha}
+                    onChange={handleCompareChange}
+                    size="small"
+                    sx={{ flex: 1 }}
+                  >
+                    <MenuItem value={WORKING_COPY}>Working copy</MenuItem>
+                    {commits
+                      .filter((commit) => commit.sha !== selectedSha)
+                      .map((commit) => (
+                        <MenuItem key={commit.sha} value={commit.sha}>
+                          {describeCommit(commit)}
+                        </MenuItem>
+                      ))}
+                  </TextField>
+                  <Button variant="outlined" onClick={() => onRestoreVersion(version, selected)}>
+                    Restore this version
+                  </Button>
+                </Stack>
+
+                {!compareData ? (
+                  loading ? <CircularProgress size={24} /> : null
+                ) : rows.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary">
+                    No differences.
+                  </Typography>
+                ) : (
+                  <>
+                    <Typography variant="body2" color="text.secondary">
+                      {rows.length} difference{rows.length === 1 ? "" : "s"}. Restoring an item puts
+                      it back into the working copy as it was in this version.
+                    </Typography>
+                    {rows.map((row) => {
+                      const fields = row.change === "changed" ? changedFields(row.base, row.remote) : [];
+                      return (
+                        <Box
+                          key={row.key}
+                          sx={{ border: "1px solid", borderColor: "divider", borderRadius: 3, p: 1.5 }}
+                        >
+                          <Stack direction="row" spacing={1} alignItems="center">
+                            <Chip size="small" label={row.label} variant="outlined" />
+                            <Chip size="small" color="primary" label={changeLabels[row.change]} />
+                            <Typography variant="body2" sx={{ fontWeight: 600, flex: 1 }}>
+                              {row.description}
+                            </Typography>
+                            <Button size="small" onClick={() => onRestoreRow(row)}>
+                              {row.remote ? "Restore" : "Remove"}
+                            </Button>
+                          </Stack>
+                          {fields.length > 0 ? (
+                            <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 0.5 }}>
+                              Changed: {fields.join(", ")}
+                            </Typography>
+                          ) : null}
+                        </Box>
+                      );
+                    })}
+                  </>
+                )}
+              </Stack>
+            )}
+          </Box>
+        </Stack>
+      </DialogContent>
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        <Button variant="contained" onClick={onClose}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default HistoryDialog;
@@ -0,0 +1,48 @@
+import { Box, Card, CardContent, Chip, Stack, Typography } from "@mui/material";
+
+function ImportReportCard({ issues }) {
+  if (issues.length === 0) return null;
+
+  const errorCount = issues.filter((issue) => issue.level === "error").length;
+  const warningCount = issues.length - errorCount;
+
+  return (
+    <Card sx={{ borderRadius: 4, border: "1px solid rgba(229,57,53,0.3)" }}>
+      <CardContent>
+        <Typography variant="overline" sx={{ letterSpacing: "0.3em", color: "error.main" }}>
+          Import Check
+        </Typography>
+        <Typography variant="h3" sx={{ fontSize: 24, mt: 1 }}>
+          {errorCount} row{errorCount === 1 ? "" : "s"} skipped, {warningCount} to check
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          Found while reading the Excel and JSON data files. Fix these rows in the file and reload;
+          skipped rows are not shown in the calendar.
+        </Typography>
+        <Stack spacing={1} mt={2} sx={{ maxHeight: 260, overflowY: "auto", pr: 1 }}>
+          {issues.map((issue, index) => (
+            <Stack key={`${issue.source}-${issue.row}-${index}`} direction="row" spacing={1} alignItems="center">
+              <Chip
+                size="small"
+                color={issue.level === "error" ? "error" : "warning"}
+                label={issue.level === "error" ? "Skipped" : "Check"}
+                sx={{ minWidth: 72 }}
+              />
+              <Box sx={{ minWidth: 120 }}>
+                <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                  {issue.source}
+                  {issue.row ? ` · row ${issue.row}` : ""}
+                </Typography>
+              </Box>
+              <Typography variant="body2" color="text.secondary">
+                {issue.reason}
+              </Typography>
+            </Stack>
+          ))}
+        </Stack>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ImportReportCard;
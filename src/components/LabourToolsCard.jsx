@@ -0,0 +1,248 @@
+import { useEffect, useMemo, useState } from "react";
+import { differenceInSeconds, format, parseISO } from "date-fns";
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  IconButton,
+  Stack,
+  Tab,
+  Tabs,
+  Typography,
+} from "@mui/material";
+import DeleteOutlineIcon from "@mui/icons-material/DeleteOutline";
+import {
+  KICK_GOAL,
+  currentSeries,
+  finishContraction,
+  finishKickSession,
+  formatKickSession,
+  formatSeconds,
+  loadActive,
+  meetsFiveOneOne,
+  saveActive,
+  summarizeContractions,
+} from "../lib/monitoring.js";
+
+const HISTORY_LIMIT = 7;
+
+function LabourToolsCard({
+  kickSessions,
+  contractions,
+  dating,
+  onAddKickSession,
+  onDeleteKickSession,
+  onAddContraction,
+  onDeleteContraction,
+}) {
+  const [tab, setTab] = useState("kicks");
+  const [activeKicks, setActiveKicks] = useState(() => loadActive("kicks"));
+  const [activeContraction, setActiveContraction] = useState(() => loadActive("contraction"));
+  const [now, setNow] = useState(() => new Date());
+  const running = Boolean(activeKicks || activeContraction);
+
+  useEffect(() => {
+    if (!running) return undefined;
+    const timer = window.setInterval(() => setNow(new Date()), 1000);
+    return () => window.clearInterval(timer);
+  }, [running]);
+
+  const series = useMemo(() => currentSeries(contractions), [contractions]);
+  const seriesStats = useMemo(() => summarizeContractions(series), [series]);
+  const fiveOneOne = useMemo(() => meetsFiveOneOne(series), [series]);
+  const recentKicks = useMemo(
+    () => [...kickSessions].reverse().slice(0, HISTORY_LIMIT),
+    [kickSessions]
+  );
+
+  function updateActiveKicks(value) {
+    setActiveKicks(value);
+    saveActive("kicks", value);
+  }
+
+  function updateActiveContraction(value) {
+    setActiveContraction(value);
+    saveActive("contraction", value);
+  }
+
+  function handleStartKicks() {
+    setNow(new Date());
+    updateActiveKicks({ startedAt: new Date().toISOString(), kicks: [] });
+  }
+
+  function handleKick() {
+    const kicks = [...activeKicks.kicks, new Date().toISOString()];
+    if (kicks.length >= KICK_GOAL) {
+      onAddKickSession(finishKickSession({ ...activeKicks, kicks }, dating));
+      updateActiveKicks(null);
+    } else {
+      updateActiveKicks({ ...activeKicks, kicks });
+    }
+  }
+
+  function handleStopKicks() {
+    if (activeKicks.kicks.length > 0) onAddKickSession(finishKickSession(activeKicks, dating));
+    updateActiveKicks(null);
+  }
+
+  function handleContraction() {
+    if (!activeContraction) {
+      setNow(new Date());
+      updateActiveContraction({ startedAt: new Date().toISOString() });
+      return;
+    }
+    const previous = series[series.length - 1];
+    onAddContraction(finishContraction(activeContraction.startedAt, previous, dating));
+    updateActiveContraction(null);
+  }
+
+  const elapsed = (startedAt) =>
+    formatSeconds(Math.max(0, differenceInSeconds(now, parseISO(startedAt))));
+
+  return (
+    <Card sx={{ borderRadius: 4 }}>
+      <CardContent>
+        <Typography variant="overline" sx={{ letterSpacing: "0.3em", color: "secondary.main" }}>
+          Third Trimester
+        </Typography>
+        <Typography variant="h3" sx={{ fontSize: 24, mt: 1 }}>
+          Kick counter and contraction timer
+        </Typography>
+        <Tabs value={tab} onChange={(_, value) => setTab(value)} sx={{ mt: 1 }}>
+          <Tab value="kicks" label="Kick counter" />
+          <Tab value="contractions" label="Contractions" />
+        </Tabs>
+
+        {tab === "kicks" ? (
+          <Box mt={2}>
+            {activeKicks ? (
+              <Stack spacing={2} alignItems="center">
+                <Typography variant="h2" sx={{ fontSize: 48 }}>
+                  {activeKicks.kicks.length}/{KICK_GOAL}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {elapsed(activeKicks.startedAt)} since you started
+                </Typography>
+                <Stack direction="row" spacing={2}>
+                  <Button variant="contained" color="secondary" size="large" onClick={handleKick}>
+                    Kick felt
+                  </Button>
+                  <Button color="inherit" onClick={handleStopKicks}>
+                    Stop
+                  </Button>
+                </Stack>
+              </Stack>
+            ) : (
+              <Stack spacing={1} alignItems="flex-start">
+                <Typography variant="body2" color="text.secondary">
+                  Start a session and tap for every movement. It is saved at {KICK_GOAL} kicks or
+                  when you stop.
+                </Typography>
+                <Button variant="contained" color="secondary" onClick={handleStartKicks}>
+                  Start counting
+                </Button>
+              </Stack>
+            )}
+            <Typography variant="subtitle2" sx={{ mt: 3 }}>
+              Recent sessions
+            </Typography>
+            {recentKicks.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No sessions yet.
+              </Typography>
+            ) : (
+              recentKicks.map((session) => (
+                <Stack key={session.id} direction="row" alignItems="center" justifyContent="space-between">
+                  <Typography variant="body2">
+                    {format(parseISO(session.startedAt), "EEE d MMM, HH:mm")}
+                    {session.gaWeek !== "" ? ` · week ${session.gaWeek}` : ""} ·{" "}
+                    {formatKickSession(session)}
+                  </Typography>
+                  <IconButton
+                    size="small"
+                    aria-label="Delete kick session"
+                    onClick={() => onDeleteKickSession(session)}
+                  >
+                    <DeleteOutlineIcon fontSize="small" />
+                  </IconButton>
+                </Stack>
+              ))
+            )}
+          </Box>
+        ) : (
+          <Box mt={2}>
+            {fiveOneOne ? (
+              <Alert severity="error" sx={{ mb: 2, borderRadius: 3 }}>
+                5-1-1 reached: contractions about 5 minutes apart, lasting a minute, for an hour. Call
+                your maternity unit or doctor.
+              </Alert>
+            ) : null}
+            <Stack spacing={2} alignItems="center">
+              <Button
+                variant="contained"
+                color={activeContraction ? "error" : "secondary"}
+                size="large"
+                onClick={handleContraction}
+                sx={{ minWidth: 240, py: 1.5 }}
+              >
+                {activeContraction
+                  ? `Contraction ended (${elapsed(activeContraction.startedAt)})`
+                  : "Contraction started"}
+              </Button>
+              <Stack direction="row" spacing={3}>
+                <Typography variant="body2" color="text.secondary">
+                  Count: {seriesStats.count}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Avg duration: {formatSeconds(seriesStats.averageDuration)}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Avg interval: {formatSeconds(seriesStats.averageInterval)}
+                </Typography>
+              </Stack>
+            </Stack>
+            <Typography variant="subtitle2" sx={{ mt: 3 }}>
+              Current series
+            </Typography>
+            {series.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                A gap of more than two hours starts a new series.
+              </Typography>
+            ) : (
+              <Stack sx={{ maxHeight: 240, overflowY: "auto", pr: 1 }}>
+                {[...series].reverse().map((contraction) => (
+                  <Stack
+                    key={contraction.id}
+                    direction="row"
+                    alignItems="center"
+                    justifyContent="space-between"
+                  >
+                    <Typography variant="body2">
+                      {format(parseISO(contraction.startedAt), "HH:mm:ss")}–
+                      {format(parseISO(contraction.endedAt), "HH:mm:ss")} · lasted{" "}
+                      {formatSeconds(contraction.durationSec)}
+                      {contraction.intervalSec !== ""
+                        ? ` · ${formatSeconds(contraction.intervalSec)} after the last`
+                        : ""}
+                    </Typography>
+                    <IconButton
+                      size="small"
+                      aria-label="Delete contraction"
+                      onClick={() => onDeleteContraction(contraction)}
+                    >
+                      <DeleteOutlineIcon fontSize="small" />
+                    </IconButton>
+                  </Stack>
+                ))}
+              </Stack>
+            )}
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default LabourToolsCard;
@@ -0,0 +1,294 @@
+import { useMemo, useState } from "react";
+import { format, parseISO } from "date-fns";
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Checkbox,
+  IconButton,
+  LinearProgress,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import DeleteOutlineIcon from "@mui/icons-material/DeleteOutline";
+import EditOutlinedIcon from "@mui/icons-material/EditOutlined";
+import {
+  buildDayChecklist,
+  buildWeeklyAdherence,
+  formatWeekRange,
+  medicationSchedules,
+} from "../lib/medications.js";
+
+const emptyMedication = {
+  name: "",
+  dose: "",
+  schedule: "daily",
+  startWeek: "",
+  endWeek: "",
+  notes: "",
+};
+
+function MedicationsCard({
+  medications,
+  doses,
+  dating,
+  dateKey,
+  todayKey,
+  onSave,
+  onDelete,
+  onSetTaken,
+}) {
+  const [form, setForm] = useState(emptyMedication);
+  const [editingId, setEditingId] = useState(null);
+
+  const checklist = useMemo(
+    () => buildDayChecklist(medications, doses, dating, dateKey),
+    [medications, doses, dating, dateKey]
+  );
+
+  const adherence = useMemo(
+    () => buildWeeklyAdherence(medications, doses, dating, todayKey),
+    [medications, doses, dating, todayKey]
+  );
+
+  function handleChange(event) {
+    const { name, value } = event.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    if (!form.name.trim()) return;
+    onSave({ ...form, id: editingId || undefined });
+    setForm(emptyMedication);
+    setEditingId(null);
+  }
+
+  function handleEdit(medication) {
+    setEditingId(medication.id);
+    setForm({
+      name: medication.name,
+      dose: medication.dose,
+      schedule: medication.schedule,
+      startWeek: medication.startWeek,
+      endWeek: medication.endWeek,
+      notes: medication.notes,
+    });
+  }
+
+  function handleCancel() {
+    setEditingId(null);
+    setForm(emptyMedication);
+  }
+
+  // Ticking dose n marks doses 1..n as taken; unticking it leaves only the ones before it.
+  function handleToggleDose(item, index) {
+    onSetTaken(item.medication.id, dateKey, index < item.taken ? index : index + 1);
+  }
+
+  const trackedWeeks = adherence.filter((week) => week.rate !== null);
+
+  return (
+    <Card sx={{ borderRadius: 4 }}>
+      <CardContent>
+        <Typography variant="overline" sx={{ letterSpacing: "0.3em", color: "primary.main" }}>
+          Medications
+        </Typography>
+        <Typography variant="h3" sx={{ fontSize: 24, mt: 1 }}>
+          Supplements and daily doses
+        </Typography>
+
+        <Stack direction={{ xs: "column", md: "row" }} spacing={3} mt={2}>
+          <Box sx={{ flex: 1 }}>
+            <Typography variant="subtitle2">
+              {dateKey === todayKey ? "Today" : format(parseISO(dateKey), "EEEE, MMM d")}
+            </Typography>
+            {checklist.length === 0 ? (
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                No medications scheduled for this day.
+              </Typography>
+            ) : (
+              <Stack spacing={1} mt={1}>
+                {checklist.map((item) => (
+                  <Stack
+                    key={item.medication.id}
+                    direction="row"
+                    alignItems="center"
+                    justifyContent="space-between"
+                    sx={{ border: "1px solid", borderColor: "divider", borderRadius: 2, px: 1.5, py: 0.5 }}
+                  >
+                    <Box>
+                      <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                        {item.medication.name}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {[item.medication.dose, `${item.taken}/${item.expected} taken`]
+                          .filter(Boolean)
+                          .join(" · ")}
+                      </Typography>
+                    </Box>
+                    <Stack direction="row">
+                      {Array.from({ length: item.expected }, (_, index) => (
+                        <Checkbox
+                          key={index}
+                          size="small"
+                          checked={index < item.taken}
+                          onChange={() => handleToggleDose(item, index)}
+                          inputProps={{ "aria-label": `${item.medication.name} dose ${index + 1}` }}
+                        />
+                      ))}
+                    </Stack>
+                  </Stack>
+                ))}
+              </Stack>
+            )}
+            <Typography variant="caption" color="text.secondary" sx={{ display: "block", mt: 1 }}>
+              Pick a day in the calendar to check off earlier doses.
+            </Typography>
+
+            <Typography variant="subtitle2" sx={{ mt: 3 }}>
+              Weekly adherence
+            </Typography>
+            {trackedWeeks.length === 0 ? (
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                Adherence is counted from the first dose you check off.
+              </Typography>
+            ) : (
+              <Stack spacing={1} mt={1}>
+                {trackedWeeks.map((week) => (
+                  <Box key={week.week}>
+                    <Stack direction="row" justifyContent="space-between">
+                      <Typography variant="caption">Week {week.week}</Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {week.taken}/{week.expected} doses · {Math.round(week.rate * 100)}%
+                      </Typography>
+                    </Stack>
+                    <LinearProgress
+                      variant="determinate"
+                      value={week.rate * 100}
+                      color={week.rate >= 0.9 ? "success" : week.rate >= 0.7 ? "warning" : "error"}
+                      sx={{ height: 6, borderRadius: 3 }}
+                    />
+                  </Box>
+                ))}
+              </Stack>
+            )}
+          </Box>
+
+          <Box sx={{ flex: 1 }}>
+            <Typography variant="subtitle2">Routine</Typography>
+            <Stack spacing={1} mt={1}>
+              {medications.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  Add folic acid, iron, calcium or prescribed medicines below.
+                </Typography>
+              ) : (
+                medications.map((medication) => (
+                  <Stack key={medication.id} direction="row" alignItems="center" justifyContent="space-between">
+                    <Box>
+                      <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                        {medication.name}
+                        {medication.dose ? ` · ${medication.dose}` : ""}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {medicationSchedules.find((item) => item.value === medication.schedule)?.label} ·{" "}
+                        {formatWeekRange(medication)}
+                      </Typography>
+                    </Box>
+                    <Stack direction="row">
+                      <IconButton size="small" aria-label="Edit medication" onClick={() => handleEdit(medication)}>
+                        <EditOutlinedIcon fontSize="small" />
+                      </IconButton>
+                      <IconButton
+                        size="small"
+                        aria-label="Delete medication"
+                        onClick={() => onDelete(medication)}
+                      >
+                        <DeleteOutlineIcon fontSize="small" />
+                      </IconButton>
+                    </Stack>
+                  </Stack>
+                ))
+              )}
+            </Stack>
+
+            <Stack spacing={1.5} mt={2} component="form" onSubmit={handleSubmit}>
+              <Stack direction="row" spacing={1.5}>
+                <TextField
+                  name="name"
+                  label="Name"
+                  value={form.name}
+                  onChange={handleChange}
+                  size="small"
+                  sx={{ flex: 2 }}
+                />
+                <TextField
+                  name="dose"
+                  label="Dose"
+                  placeholder="5 mg"
+                  value={form.dose}
+                  onChange={handleChange}
+                  size="small"
+                  sx={{ flex: 1 }}
+                />
+              </Stack>
+              <Stack direction="row" spacing={1.5}>
+                <TextField
+                  select
+                  name="schedule"
+                  label="Schedule"
+                  value={form.schedule}
+                  onChange={handleChange}
+                  size="small"
+                  sx={{ flex: 2 }}
+                >
+                  {medicationSchedules.map((item) => (
+                    <MenuItem key={item.value} value={item.value}>
+                      {item.label}
+                    </MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  type="number"
+                  name="startWeek"
+                  label="From week"
+                  value={form.startWeek}
+                  onChange={handleChange}
+                  size="small"
+                  inputProps={{ min: 0, max: 42 }}
+                  sx={{ flex: 1 }}
+                />
+                <TextField
+                  type="number"
+                  name="endWeek"
+                  label="To week"
+                  value={form.endWeek}
+                  onChange={handleChange}
+                  size="small"
+                  inputProps={{ min: 0, max: 42 }}
+                  sx={{ flex: 1 }}
+                />
+              </Stack>
+              <TextField name="notes" label="Notes" value={form.notes} onChange={handleChange} size="small" />
+              <Stack direction="row" spacing={1}>
+                <Button type="submit" variant="contained" disabled={!form.name.trim()}>
+                  {editingId ? "Save medication" : "Add medication"}
+                </Button>
+                {editingId ? (
+                  <Button color="inherit" onClick={handleCancel}>
+                    Cancel
+                  </Button>
+                ) : null}
+              </Stack>
+            </Stack>
+          </Box>
+        </Stack>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default MedicationsCard;
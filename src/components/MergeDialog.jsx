@@ -0,0 +1,130 @@
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Stack,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+} from "@mui/material";
+import { changedFields } from "../lib/merge.js";
+
+const defaultChangeLabels = {
+  local: { added: "Added here", removed: "Removed here", changed: "Changed here" },
+  remote: { added: "Added on GitHub", removed: "Removed on GitHub", changed: "Changed on GitHub" },
+  both: { conflict: "Changed on both" },
+};
+
+const defaultSideLabels = { local: "mine", remote: "theirs" };
+
+function formatValue(value) {
+  if (value === undefined || value === "") return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function MergeDialog({
+  rows,
+  title,
+  confirmLabel,
+  busy,
+  changeLabels = defaultChangeLabels,
+  sideLabels = defaultSideLabels,
+  onChoiceChange,
+  onChooseAll,
+  onConfirm,
+  onClose,
+}) {
+  const conflictCount = rows.filter((row) => row.side === "both").length;
+
+  return (
+    <Dialog open onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary">
+          {rows.length} change{rows.length === 1 ? "" : "s"} to merge
+          {conflictCount ? `, ${conflictCount} changed on both sides` : ""}. Pick which version to
+          keep for each item.
+        </Typography>
+        <Stack spacing={1.5} mt={2}>
+          {rows.map((row) => {
+            const fields = changedFields(row.local, row.remote);
+            return (
+              <Box
+                key={row.key}
+                sx={{
+                  border: "1px solid",
+                  borderColor: row.side === "both" ? "error.light" : "divider",
+                  borderRadius: 3,
+                  p: 1.5,
+                }}
+              >
+                <Stack
+                  direction={{ xs: "column", sm: "row" }}
+                  spacing={1}
+                  alignItems={{ sm: "center" }}
+                  justifyContent="space-between"
+                >
+                  <Stack direction="row" spacing={1} alignItems="center">
+                    <Chip size="small" label={row.label} variant="outlined" />
+                    <Chip
+                      size="small"
+                      color={row.side === "both" ? "error" : row.side === "remote" ? "primary" : "secondary"}
+                      label={changeLabels[row.side][row.change]}
+                    />
+                    <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                      {row.description}
+                    </Typography>
+                  </Stack>
+                  <ToggleButtonGroup
+                    size="small"
+                    exclusive
+                    value={row.choice}
+                    onChange={(_, value) => value && onChoiceChange(row.key, value)}
+                  >
+                    <ToggleButton value="local">{row.local ? `Keep ${sideLabels.local}` : "Delete"}</ToggleButton>
+                    <ToggleButton value="remote">
+                      {row.remote ? `Keep ${sideLabels.remote}` : "Delete"}
+                    </ToggleButton>
+                  </ToggleButtonGroup>
+                </Stack>
+                {row.local && row.remote && fields.length > 0 ? (
+                  <Stack spacing={0.25} mt={1}>
+                    {fields.map((field) => (
+                      <Typography key={field} variant="caption" color="text.secondary">
+                        {field}: {sideLabels.local} “{formatValue(row.local[field])}” · {sideLabels.remote} “
+                        {formatValue(row.remote[field])}”
+                      </Typography>
+                    ))}
+                  </Stack>
+                ) : null}
+              </Box>
+            );
+          })}
+        </Stack>
+      </DialogContent>
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        {onChooseAll ? (
+          <Stack direction="row" spacing={1} sx={{ mr: "auto" }}>
+            <Button size="small" onClick={() => onChooseAll("local")}>
+              All {sideLabels.local}
+            </Button>
+            <Button size="small" onClick={() => onChooseAll("remote")}>
+              All {sideLabels.remote}
+            </Button>
+          </Stack>
+        ) : null}
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={onConfirm} disabled={busy}>
+          {confirmLabel}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default MergeDialog;
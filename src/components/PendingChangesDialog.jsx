@@ -0,0 +1,74 @@
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Stack,
+  Typography,
+} from "@mui/material";
+import { changedFields } from "../lib/merge.js";
+
+const changeLabels = {
+  added: "Added",
+  removed: "Deleted",
+  changed: "Edited",
+};
+
+function PendingChangesDialog({ rows, onRevert, onDiscardAll, onClose }) {
+  return (
+    <Dialog open onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Unsynced changes</DialogTitle>
+      <DialogContent dividers>
+        {rows.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            Everything on this device matches the last synced version.
+          </Typography>
+        ) : (
+          <Stack spacing={1.5}>
+            <Typography variant="body2" color="text.secondary">
+              These changes are saved on this device and will be written on the next sync.
+            </Typography>
+            {rows.map((row) => {
+              const fields = row.change === "changed" ? changedFields(row.base, row.local) : [];
+              return (
+                <Box
+                  key={row.key}
+                  sx={{ border: "1px solid", borderColor: "divider", borderRadius: 3, p: 1.5 }}
+                >
+                  <Stack direction="row" spacing={1} alignItems="center">
+                    <Chip size="small" label={row.label} variant="outlined" />
+                    <Chip size="small" color="secondary" label={changeLabels[row.change]} />
+                    <Typography variant="body2" sx={{ fontWeight: 600, flex: 1 }}>
+                      {row.description}
+                    </Typography>
+                    <Button size="small" onClick={() => onRevert(row)}>
+                      Revert
+                    </Button>
+                  </Stack>
+                  {fields.length > 0 ? (
+                    <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 0.5 }}>
+                      Changed: {fields.join(", ")}
+                    </Typography>
+                  ) : null}
+                </Box>
+              );
+            })}
+          </Stack>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        <Button color="error" onClick={onDiscardAll} disabled={rows.length === 0}>
+          Discard all
+        </Button>
+        <Button variant="contained" onClick={onClose}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default PendingChangesDialog;
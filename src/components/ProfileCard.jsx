@@ -0,0 +1,135 @@
+import { format } from "date-fns";
+import { Card, CardContent, Chip, MenuItem, Stack, TextField, Typography } from "@mui/material";
+import { datingMethods, formatGestationalAge } from "../lib/pregnancy.js";
+
+function ProfileCard({ profile, dating, onChange }) {
+  function handleChange(event) {
+    const { name, value } = event.target;
+    onChange({ ...profile, [name]: value });
+  }
+
+  const scanAge =
+    dating?.scanGaDays != null
+      ? formatGestationalAge({ weeks: Math.floor(dating.scanGaDays / 7), days: dating.scanGaDays % 7 })
+      : null;
+
+  return (
+    <Card sx={{ borderRadius: 4 }}>
+      <CardContent>
+        <Typography variant="overline" sx={{ letterSpacing: "0.3em", color: "secondary.main" }}>
+          Pregnancy Profile
+        </Typography>
+        <Typography variant="h3" sx={{ fontSize: 24, mt: 1 }}>
+          Dating and due date
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          Saved with the event data on the next sync.
+        </Typography>
+        <Stack spacing={2} mt={2}>
+          <Stack direction={{ xs: "column", md: "row" }} spacing={2}>
+            <TextField
+              type="date"
+              name="lmp"
+              label="LMP (first day)"
+              value={profile.lmp}
+              onChange={handleChange}
+              fullWidth
+              size="small"
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              type="number"
+              name="cycleLength"
+              label="Cycle length (days)"
+              value={profile.cycleLength}
+              onChange={handleChange}
+              fullWidth
+              size="small"
+              inputProps={{ min: 20, max: 45 }}
+            />
+            <TextField
+              select
+              name="datingMethod"
+              label="Date pregnancy by"
+              value={profile.datingMethod}
+              onChange={handleChange}
+              fullWidth
+              size="small"
+            >
+              {datingMethods.map((method) => (
+                <MenuItem key={method.value} value={method.value}>
+                  {method.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Stack>
+          <Stack direction={{ xs: "column", md: "row" }} spacing={2}>
+            <TextField
+              type="date"
+              name="scanDate"
+              label="Dating scan date"
+              value={profile.scanDate}
+              onChange={handleChange}
+              fullWidth
+              size="small"
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              type="number"
+              name="scanCrlMm"
+              label="CRL (mm)"
+              value={profile.scanCrlMm}
+              onChange={handleChange}
+              fullWidth
+              size="small"
+              inputProps={{ min: 0, step: 0.1 }}
+            />
+            <TextField
+              type="number"
+              name="scanGaWeeks"
+              label="or GA weeks"
+              value={profile.scanGaWeeks}
+              onChange={handleChange}
+              fullWidth
+              size="small"
+              inputProps={{ min: 0, max: 42 }}
+            />
+            <TextField
+              type="number"
+              name="scanGaDays"
+              label="+ days"
+              value={profile.scanGaDays}
+              onChange={handleChange}
+              fullWidth
+              size="small"
+              inputProps={{ min: 0, max: 6 }}
+            />
+          </Stack>
+          <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+            {dating?.naegeleEdd ? (
+              <Chip
+                label={`Naegele EDD: ${format(dating.naegeleEdd, "MMM d, yyyy")}`}
+                color={dating.method === "lmp" ? "secondary" : "default"}
+                variant={dating.method === "lmp" ? "filled" : "outlined"}
+              />
+            ) : null}
+            {dating?.correctedEdd ? (
+              <Chip
+                label={`Scan EDD: ${format(dating.correctedEdd, "MMM d, yyyy")} (GA ${scanAge} on scan)`}
+                color={dating.method === "ultrasound" ? "secondary" : "default"}
+                variant={dating.method === "ultrasound" ? "filled" : "outlined"}
+              />
+            ) : null}
+            {!dating ? (
+              <Typography variant="body2" color="text.secondary">
+                Enter an LMP or a dating scan to calculate the due date.
+              </Typography>
+            ) : null}
+          </Stack>
+        </Stack>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ProfileCard;
@@ -0,0 +1,177 @@
+import { useEffect, useMemo, useState } from "react";
+import { format } from "date-fns";
+import {
+  Alert,
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  FormControlLabel,
+  Stack,
+  Switch,
+  Typography,
+} from "@mui/material";
+import { eventCategories } from "../lib/eventTypes.js";
+import {
+  EVENT_START_HOUR,
+  buildReminders,
+  leadTimes,
+  loadReminderSettings,
+  notificationPermission,
+  saveReminderSettings,
+  showReminder,
+  takeDueReminders,
+} from "../lib/reminders.js";
+import CategoryIcon from "./CategoryIcon.jsx";
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+const ICON_URL = `${import.meta.env.BASE_URL}icon.svg`;
+
+function RemindersCard({ events }) {
+  const [settings, setSettings] = useState(loadReminderSettings);
+  const [permission, setPermission] = useState(notificationPermission);
+  const [now, setNow] = useState(() => new Date());
+  const active = settings.enabled && permission === "granted";
+
+  const reminders = useMemo(() => buildReminders(events, settings, now), [events, settings, now]);
+
+  useEffect(() => {
+    if (!active) return undefined;
+    const timer = window.setInterval(() => setNow(new Date()), CHECK_INTERVAL_MS);
+    return () => window.clearInterval(timer);
+  }, [active]);
+
+  // Browsers cannot schedule notifications ahead of time, so due reminders are shown from here
+  // while the app (or the installed PWA) is open.
+  useEffect(() => {
+    if (!active) return;
+    takeDueReminders(reminders, now).forEach((reminder) =>
+      showReminder(reminder, ICON_URL).catch((error) =>
+        console.error("Unable to show reminder", error)
+      )
+    );
+  }, [active, reminders, now]);
+
+  function updateSettings(updated) {
+    setSettings(updated);
+    saveReminderSettings(updated);
+  }
+
+  async function handleToggleEnabled(event) {
+    const enabled = event.target.checked;
+    if (enabled && permission === "default") {
+      setPermission(await Notification.requestPermission());
+    }
+    setNow(new Date());
+    updateSettings({ ...settings, enabled });
+  }
+
+  function handleToggleLead(categoryKey, leadKey) {
+    const current = settings.leadTimes[categoryKey] || [];
+    const next = current.includes(leadKey)
+      ? current.filter((key) => key !== leadKey)
+      : [...current, leadKey];
+    updateSettings({ ...settings, leadTimes: { ...settings.leadTimes, [categoryKey]: next } });
+  }
+
+  const upcoming = reminders.filter((reminder) => reminder.at > now).slice(0, 5);
+
+  return (
+    <Card sx={{ borderRadius: 4 }}>
+      <CardContent>
+        <Stack
+          direction={{ xs: "column", sm: "row" }}
+          spacing={2}
+          alignItems={{ xs: "flex-start", sm: "center" }}
+          justifyContent="space-between"
+        >
+          <Box>
+            <Typography variant="overline" sx={{ letterSpacing: "0.3em", color: "primary.main" }}>
+              Reminders
+            </Typography>
+            <Typography variant="h3" sx={{ fontSize: 24, mt: 1 }}>
+              Browser notifications
+            </Typography>
+          </Box>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={settings.enabled}
+                onChange={handleToggleEnabled}
+                disabled={permission === "unsupported" || permission === "denied"}
+              />
+            }
+            label={settings.enabled ? "On" : "Off"}
+          />
+        </Stack>
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          Appointments are timed at {EVENT_START_HOUR}:00 on their day. Notifications are shown while
+          the app is open in a tab or installed; a reminder missed by up to 12 hours is shown on the
+          next visit.
+        </Typography>
+        {permission === "unsupported" ? (
+          <Alert severity="info" sx={{ mt: 2, borderRadius: 3 }}>
+            This browser does not support notifications.
+          </Alert>
+        ) : permission === "denied" ? (
+          <Alert severity="warning" sx={{ mt: 2, borderRadius: 3 }}>
+            Notifications are blocked for this site. Allow them in the browser&apos;s site settings to
+            get reminders.
+          </Alert>
+        ) : null}
+
+        <Stack spacing={1.5} mt={2}>
+          {eventCategories.map((category) => (
+            <Stack
+              key={category.key}
+              direction={{ xs: "column", sm: "row" }}
+              spacing={1}
+              alignItems={{ xs: "flex-start", sm: "center" }}
+            >
+              <Stack direction="row" spacing={1} alignItems="center" sx={{ minWidth: 150, color: category.color }}>
+                <CategoryIcon category={category.key} fontSize="small" />
+                <Typography variant="body2" sx={{ fontWeight: 600, color: "text.primary" }}>
+                  {category.label}
+                </Typography>
+              </Stack>
+              <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+                {leadTimes.map((lead) => {
+                  const selected = (settings.leadTimes[category.key] || []).includes(lead.key);
+                  return (
+                    <Chip
+                      key={lead.key}
+                      size="small"
+                      label={lead.label}
+                      color={selected ? "primary" : "default"}
+                      variant={selected ? "filled" : "outlined"}
+                      onClick={() => handleToggleLead(category.key, lead.key)}
+                    />
+                  );
+                })}
+              </Stack>
+            </Stack>
+          ))}
+        </Stack>
+
+        {active ? (
+          <Box mt={2}>
+            <Typography variant="subtitle2">Next reminders</Typography>
+            {upcoming.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                Nothing scheduled.
+              </Typography>
+            ) : (
+              upcoming.map((reminder) => (
+                <Typography key={reminder.key} variant="body2" color="text.secondary">
+                  {format(reminder.at, "EEE d MMM, HH:mm")} · {reminder.event.title} ({reminder.lead.label})
+                </Typography>
+              ))
+            )}
+          </Box>
+        ) : null}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default RemindersCard;
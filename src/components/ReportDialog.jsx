@@ -0,0 +1,144 @@
+import { useState } from "react";
+import { format, parseISO } from "date-fns";
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  InputAdornment,
+  MenuItem,
+  Stack,
+  TextField,
+} from "@mui/material";
+import { measurementFields } from "../lib/reports.js";
+
+function ReportDialog({ report, events, isNew, onSave, onDelete, onClose }) {
+  const [draft, setDraft] = useState(report);
+
+  function handleChange(event) {
+    const { name, value } = event.target;
+    if (name === "eventId") {
+      const linked = events.find((item) => item.id === value);
+      setDraft((prev) => ({
+        ...prev,
+        eventId: value,
+        date: linked?.date || prev.date,
+        title: prev.title || linked?.title || "",
+      }));
+      return;
+    }
+    setDraft((prev) => ({ ...prev, [name]: value }));
+  }
+
+  function handleMeasurementChange(event) {
+    const { name, value } = event.target;
+    setDraft((prev) => ({
+      ...prev,
+      measurements: { ...prev.measurements, [name]: value },
+    }));
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    onSave(draft);
+  }
+
+  return (
+    <Dialog open onClose={onClose} fullWidth maxWidth="sm">
+      <Box component="form" onSubmit={handleSubmit}>
+        <DialogTitle>{isNew ? "Add report" : "Edit report"}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} mt={1}>
+            <TextField
+              select
+              name="eventId"
+              label="Linked appointment"
+              value={draft.eventId}
+              onChange={handleChange}
+              size="small"
+            >
+              <MenuItem value="">
+                <em>None</em>
+              </MenuItem>
+              {events.map((item) => (
+                <MenuItem key={item.id} value={item.id}>
+                  {format(parseISO(item.date), "MMM d, yyyy")} · {item.title}
+                </MenuItem>
+              ))}
+            </TextField>
+            <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
+              <TextField
+                type="date"
+                name="date"
+                label="Report date"
+                value={draft.date}
+                onChange={handleChange}
+                size="small"
+                required
+                InputLabelProps={{ shrink: true }}
+              />
+              <TextField
+                name="title"
+                label="Title"
+                value={draft.title}
+                onChange={handleChange}
+                size="small"
+                required
+                fullWidth
+              />
+            </Stack>
+            <Box
+              sx={{
+                display: "grid",
+                gridTemplateColumns: { xs: "repeat(2, minmax(0, 1fr))", sm: "repeat(4, minmax(0, 1fr))" },
+                gap: 2,
+              }}
+            >
+              {measurementFields.map((field) => (
+                <TextField
+                  key={field.key}
+                  name={field.key}
+                  label={field.label}
+                  type={field.type}
+                  value={draft.measurements[field.key]}
+                  onChange={handleMeasurementChange}
+                  size="small"
+                  inputProps={field.type === "number" ? { min: 0, step: "any" } : undefined}
+                  InputProps={
+                    field.unit
+                      ? { endAdornment: <InputAdornment position="end">{field.unit}</InputAdornment> }
+                      : undefined
+                  }
+                />
+              ))}
+            </Box>
+            <TextField
+              name="impressions"
+              label="Impressions (one per line)"
+              value={draft.impressions}
+              onChange={handleChange}
+              size="small"
+              multiline
+              rows={4}
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          {!isNew ? (
+            <Button color="error" onClick={() => onDelete(draft)} sx={{ mr: "auto" }}>
+              Delete
+            </Button>
+          ) : null}
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained">
+            Save report
+          </Button>
+        </DialogActions>
+      </Box>
+    </Dialog>
+  );
+}
+
+export default ReportDialog;
@@ -0,0 +1,88 @@
+import { format, parseISO } from "date-fns";
+import { Button, Card, CardContent, Chip, Stack, Typography } from "@mui/material";
+
+const scheduleStatusStyles = {
+  done: { label: "Done", color: "success" },
+  open: { label: "Due now", color: "primary" },
+  upcoming: { label: "Upcoming", color: "default" },
+  overdue: { label: "Overdue", color: "error" },
+};
+
+function formatWindow(item) {
+  return `${format(parseISO(item.start), "MMM d")} – ${format(parseISO(item.end), "MMM d, yyyy")}`;
+}
+
+function ScheduleCard({ schedule, error, onPlan, onSelectDate }) {
+  const overdueCount = schedule.filter((item) => item.status === "overdue").length;
+
+  return (
+    <Card sx={{ borderRadius: 4 }}>
+      <CardContent>
+        <Stack direction="row" alignItems="center" justifyContent="space-between">
+          <Typography variant="overline" sx={{ letterSpacing: "0.3em", color: "primary.main" }}>
+            Antenatal Schedule
+          </Typography>
+          {overdueCount > 0 ? (
+            <Chip size="small" color="error" label={`${overdueCount} overdue`} />
+          ) : null}
+        </Stack>
+        <Typography variant="h3" sx={{ fontSize: 24, mt: 1 }}>
+          Recommended visits and screenings
+        </Typography>
+        {error ? (
+          <Typography variant="body2" color="error" sx={{ mt: 2 }}>
+            {error}
+          </Typography>
+        ) : schedule.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            Set the LMP in the pregnancy profile to generate the schedule.
+          </Typography>
+        ) : (
+          <Stack spacing={1.5} mt={2} sx={{ maxHeight: 360, overflowY: "auto", pr: 1 }}>
+            {schedule.map((item) => {
+              const statusStyle = scheduleStatusStyles[item.status];
+              return (
+                <Card key={item.id} variant="outlined" sx={{ borderRadius: 3 }}>
+                  <CardContent sx={{ py: 1.5, "&:last-child": { pb: 1.5 } }}>
+                    <Stack
+                      direction={{ xs: "column", sm: "row" }}
+                      spacing={1}
+                      alignItems={{ sm: "center" }}
+                      justifyContent="space-between"
+                    >
+                      <Stack>
+                        <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+                          {item.title}
+                        </Typography>
+                        <Typography
+                          variant="body2"
+                          color="text.secondary"
+                          sx={{ cursor: "pointer" }}
+                          onClick={() => onSelectDate(parseISO(item.matchedDate || item.start))}
+                        >
+                          {item.matchedDate
+                            ? `Booked ${format(parseISO(item.matchedDate), "MMM d, yyyy")}`
+                            : formatWindow(item)}
+                        </Typography>
+                      </Stack>
+                      <Stack direction="row" spacing={1} alignItems="center">
+                        <Chip size="small" label={statusStyle.label} color={statusStyle.color} />
+                        {item.status !== "done" ? (
+                          <Button size="small" onClick={() => onPlan(item)}>
+                            Plan
+                          </Button>
+                        ) : null}
+                      </Stack>
+                    </Stack>
+                  </CardContent>
+                </Card>
+              );
+            })}
+          </Stack>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ScheduleCard;
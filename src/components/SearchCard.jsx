@@ -0,0 +1,166 @@
+import { format, parseISO } from "date-fns";
+import {
+  Box,
+  Button,
+  ButtonBase,
+  Card,
+  CardContent,
+  Chip,
+  InputAdornment,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import SearchIcon from "@mui/icons-material/Search";
+import { eventCategories } from "../lib/eventTypes.js";
+import { TRIMESTERS, emptyFilters, hasActiveFilters } from "../lib/search.js";
+import CategoryIcon from "./CategoryIcon.jsx";
+
+function SearchCard({ filters, results, onChange, onSelect }) {
+  const active = hasActiveFilters(filters);
+
+  function handleChange(event) {
+    const { name, value } = event.target;
+    onChange({ ...filters, [name]: value });
+  }
+
+  return (
+    <Card sx={{ borderRadius: 4 }}>
+      <CardContent>
+        <Typography variant="overline" sx={{ letterSpacing: "0.3em", color: "primary.main" }}>
+          Search
+        </Typography>
+        <Typography variant="h3" sx={{ fontSize: 24, mt: 1 }}>
+          Find events and reports
+        </Typography>
+        <Stack spacing={2} mt={2}>
+          <TextField
+            name="query"
+            placeholder="Search titles, types, notes and report findings"
+            value={filters.query}
+            onChange={handleChange}
+            size="small"
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <SearchIcon fontSize="small" />
+                </InputAdornment>
+              ),
+            }}
+          />
+          <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
+            <TextField
+              select
+              name="category"
+              label="Category"
+              value={filters.category}
+              onChange={handleChange}
+              size="small"
+              sx={{ minWidth: 160 }}
+            >
+              <MenuItem value="">All categories</MenuItem>
+              {eventCategories.map((category) => (
+                <MenuItem key={category.key} value={category.key}>
+                  {category.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              name="trimester"
+              label="Trimester"
+              value={filters.trimester}
+              onChange={handleChange}
+              size="small"
+              sx={{ minWidth: 160 }}
+            >
+              <MenuItem value="">Any trimester</MenuItem>
+              {TRIMESTERS.map((trimester) => (
+                <MenuItem key={trimester} value={trimester}>
+                  {trimester}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              type="date"
+              name="from"
+              label="From"
+              value={filters.from}
+              onChange={handleChange}
+              size="small"
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              type="date"
+              name="to"
+              label="To"
+              value={filters.to}
+              onChange={handleChange}
+              size="small"
+              InputLabelProps={{ shrink: true }}
+            />
+          </Stack>
+          {active ? (
+            <Stack direction="row" alignItems="center" justifyContent="space-between">
+              <Typography variant="body2" color="text.secondary">
+                {results.length} match{results.length === 1 ? "" : "es"} · the filters also apply to Next
+                highlights
+              </Typography>
+              <Button size="small" onClick={() => onChange(emptyFilters)}>
+                Clear
+              </Button>
+            </Stack>
+          ) : null}
+        </Stack>
+        {active ? (
+          <Stack spacing={1} mt={2} sx={{ maxHeight: 320, overflowY: "auto", pr: 1 }}>
+            {results.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                Nothing matches these filters.
+              </Typography>
+            ) : (
+              results.map((result) => (
+                <ButtonBase
+                  key={result.key}
+                  onClick={() => onSelect(parseISO(result.date))}
+                  sx={{
+                    justifyContent: "flex-start",
+                    textAlign: "left",
+                    gap: 1.5,
+                    borderRadius: 2,
+                    border: "1px solid",
+                    borderColor: "divider",
+                    px: 1.5,
+                    py: 1,
+                    "&:hover": { bgcolor: "action.hover" },
+                  }}
+                >
+                  <Box sx={{ color: result.category?.color || "text.secondary", display: "flex" }}>
+                    <CategoryIcon category={result.category?.key} fontSize="small" />
+                  </Box>
+                  <Box sx={{ flex: 1, minWidth: 0 }}>
+                    <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                      {result.title}
+                    </Typography>
+                    {result.detail ? (
+                      <Typography variant="caption" color="text.secondary" noWrap component="div">
+                        {result.detail}
+                      </Typography>
+                    ) : null}
+                  </Box>
+                  {result.kind === "report" ? <Chip size="small" label="Report" variant="outlined" /> : null}
+                  <Typography variant="caption" color="text.secondary" sx={{ whiteSpace: "nowrap" }}>
+                    {format(parseISO(result.date), "dd MMM yyyy")}
+                  </Typography>
+                </ButtonBase>
+              ))
+            )}
+          </Stack>
+        ) : null}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default SearchCard;
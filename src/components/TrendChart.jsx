@@ -0,0 +1,126 @@
+import { Box } from "@mui/material";
+
+const WIDTH = 600;
+const HEIGHT = 260;
+const PADDING = { top: 16, right: 16, bottom: 36, left: 48 };
+
+function niceStep(range, targetTicks) {
+  const raw = range / targetTicks;
+  const magnitude = 10 ** Math.floor(Math.log10(raw || 1));
+  const normalized = raw / magnitude;
+  const step = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+  return step * magnitude;
+}
+
+function buildTicks(min, max, targetTicks) {
+  const step = niceStep(max - min, targetTicks);
+  const ticks = [];
+  for (let value = Math.ceil(min / step) * step; value <= max; value += step) {
+    ticks.push(Number(value.toFixed(6)));
+  }
+  return ticks;
+}
+
+function TrendChart({ xDomain, yDomain, bands = [], lines = [], points = [], xLabel, yLabel }) {
+  const allY = [
+    ...bands.flatMap((band) => band.points.flatMap((point) => [point.low, point.high])),
+    ...lines.flatMap((line) => line.points.map((point) => point.y)),
+    ...points.map((point) => point.y),
+  ];
+  const [yMin, yMax] = yDomain || [
+    Math.min(...allY, Infinity) === Infinity ? 0 : Math.min(...allY),
+    Math.max(...allY, -Infinity) === -Infinity ? 1 : Math.max(...allY),
+  ];
+  const yPad = (yMax - yMin || 1) * 0.08;
+  const yLow = yDomain ? yMin : yMin - yPad;
+  const yHigh = yDomain ? yMax : yMax + yPad;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const scaleX = (x) => PADDING.left + ((x - xDomain[0]) / (xDomain[1] - xDomain[0] || 1)) * plotWidth;
+  const scaleY = (y) => PADDING.top + (1 - (y - yLow) / (yHigh - yLow || 1)) * plotHeight;
+  const toPath = (coords) =>
+    coords.map(([x, y], index) => `${index === 0 ? "M" : "L"}${scaleX(x)},${scaleY(y)}`).join(" ");
+
+  return (
+    <Box
+      component="svg"
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      role="img"
+      sx={{ width: "100%", height: "auto", display: "block", fontFamily: "inherit" }}
+    >
+      {buildTicks(yLow, yHigh, 5).map((tick) => (
+        <g key={`y-${tick}`}>
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={scaleY(tick)}
+            y2={scaleY(tick)}
+            stroke="rgba(15,23,42,0.08)"
+          />
+          <text x={PADDING.left - 6} y={scaleY(tick) + 4} textAnchor="end" fontSize={11} fill="#64748b">
+            {tick}
+          </text>
+        </g>
+      ))}
+      {buildTicks(xDomain[0], xDomain[1], 8).map((tick) => (
+        <text
+          key={`x-${tick}`}
+          x={scaleX(tick)}
+          y={HEIGHT - PADDING.bottom + 16}
+          textAnchor="middle"
+          fontSize={11}
+          fill="#64748b"
+        >
+          {tick}
+        </text>
+      ))}
+      {xLabel ? (
+        <text x={PADDING.left + plotWidth / 2} y={HEIGHT - 4} textAnchor="middle" fontSize={11} fill="#64748b">
+          {xLabel}
+        </text>
+      ) : null}
+      {yLabel ? (
+        <text x={4} y={PADDING.top - 4} fontSize={11} fill="#64748b">
+          {yLabel}
+        </text>
+      ) : null}
+
+      {bands.map((band, index) => (
+        <path
+          key={`band-${index}`}
+          d={`${toPath(band.points.map((point) => [point.x, point.high]))} ${toPath(
+            [...band.points].reverse().map((point) => [point.x, point.low])
+          ).replace(/^M/, "L")} Z`}
+          fill={band.color}
+          stroke="none"
+        />
+      ))}
+      {lines.map((line, index) => (
+        <path
+          key={`line-${index}`}
+          d={toPath(line.points.map((point) => [point.x, point.y]))}
+          fill="none"
+          stroke={line.color}
+          strokeWidth={line.width || 1.5}
+          strokeDasharray={line.dashed ? "4 4" : undefined}
+        />
+      ))}
+      {points.map((point, index) => (
+        <circle
+          key={`point-${index}`}
+          cx={scaleX(point.x)}
+          cy={scaleY(point.y)}
+          r={point.highlight ? 6 : 4.5}
+          fill={point.highlight ? "#e53935" : point.color || "#5f9dff"}
+          stroke="white"
+          strokeWidth={1.5}
+        >
+          {point.label ? <title>{point.label}</title> : null}
+        </circle>
+      ))}
+    </Box>
+  );
+}
+
+export default TrendChart;
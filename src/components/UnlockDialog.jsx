@@ -0,0 +1,72 @@
+import { useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Typography,
+} from "@mui/material";
+
+// Asks for a passphrase before anything encrypted is used: the data file, or the stored GitHub
+// token. It can only be dismissed when `onSkip` is given.
+function UnlockDialog({ title, description, onUnlock, onSkip }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [error, setError] = useState("");
+  const [unlocking, setUnlocking] = useState(false);
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    setUnlocking(true);
+    setError("");
+    try {
+      await onUnlock(passphrase);
+    } catch (unlockError) {
+      setError(unlockError.message || "Unable to decrypt the data.");
+      setUnlocking(false);
+    }
+  }
+
+  return (
+    <Dialog open fullWidth maxWidth="xs">
+      <Box component="form" onSubmit={handleSubmit}>
+        <DialogTitle>{title}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary">
+            {description}
+          </Typography>
+          {error ? (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          ) : null}
+          <TextField
+            autoFocus
+            type="password"
+            label="Passphrase"
+            value={passphrase}
+            onChange={(event) => setPassphrase(event.target.value)}
+            fullWidth
+            size="small"
+            sx={{ mt: 2 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          {onSkip ? (
+            <Button color="inherit" onClick={onSkip} disabled={unlocking}>
+              Continue without
+            </Button>
+          ) : null}
+          <Button type="submit" variant="contained" disabled={!passphrase || unlocking}>
+            {unlocking ? "Decrypting..." : "Unlock"}
+          </Button>
+        </DialogActions>
+      </Box>
+    </Dialog>
+  );
+}
+
+export default UnlockDialog;
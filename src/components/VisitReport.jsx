@@ -0,0 +1,185 @@
+import { format } from "date-fns";
+import { Box, Button, Container, Dialog, Divider, Stack, Typography } from "@mui/material";
+import ArrowBackIcon from "@mui/icons-material/ArrowBack";
+import PrintOutlinedIcon from "@mui/icons-material/PrintOutlined";
+import { getEventCategory } from "../lib/eventTypes.js";
+import { formatReportDate } from "../lib/visitReport.js";
+
+const windowStatusLabels = {
+  open: "due now",
+  upcoming: "upcoming",
+  overdue: "overdue",
+};
+
+function Section({ title, empty, children }) {
+  return (
+    <Box component="section" sx={{ mt: 3, breakInside: "avoid" }}>
+      <Typography variant="h6" sx={{ fontSize: 16, fontWeight: 700, mb: 1 }}>
+        {title}
+      </Typography>
+      {children || (
+        <Typography variant="body2" color="text.secondary">
+          {empty}
+        </Typography>
+      )}
+    </Box>
+  );
+}
+
+function EventLine({ event }) {
+  return (
+    <Typography variant="body2">
+      <strong>{formatReportDate(event.date)}</strong> · {event.title}
+      {` (${event.type || getEventCategory(event.category).label})`}
+    </Typography>
+  );
+}
+
+// A plain, print-first page: the browser's print dialog turns it into a PDF. It opens as a
+// full-screen dialog so the dashboard stays mounted behind it; index.css hides the dashboard when
+// printing, and the dialog drops its fixed positioning so the report can run over several pages.
+function VisitReport({ report, onClose }) {
+  return (
+    <Dialog
+      open
+      fullScreen
+      onClose={onClose}
+      className="visit-report"
+      slotProps={{ paper: { sx: { bgcolor: "background.default" } } }}
+      sx={{
+        "@media print": {
+          position: "static",
+          "& .MuiBackdrop-root": { display: "none" },
+          "& .MuiDialog-container": { height: "auto" },
+          "& .MuiDialog-paper": { height: "auto", overflow: "visible", bgcolor: "white" },
+        },
+      }}
+    >
+      <Container maxWidth="md" sx={{ py: 4, "@media print": { py: 0, maxWidth: "none" } }}>
+        <Stack direction="row" spacing={1} justifyContent="space-between" mb={3} displayPrint="none">
+          <Button startIcon={<ArrowBackIcon />} onClick={onClose}>
+            Back to dashboard
+          </Button>
+          <Button variant="contained" startIcon={<PrintOutlinedIcon />} onClick={() => window.print()}>
+            Print or save as PDF
+          </Button>
+        </Stack>
+
+        <Box sx={{ bgcolor: "white", borderRadius: 3, p: { xs: 3, md: 5 }, "@media print": { p: 0 } }}>
+          <Typography variant="h1" sx={{ fontSize: 32, fontWeight: 600 }}>
+            Antenatal visit report
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Prepared {format(report.generatedAt, "d MMM yyyy, HH:mm")}
+          </Typography>
+
+          <Stack direction="row" spacing={4} mt={2} flexWrap="wrap" useFlexGap>
+            <Box>
+              <Typography variant="caption" color="text.secondary">
+                Gestational age
+              </Typography>
+              <Typography variant="subtitle1" sx={{ fontWeight: 700 }}>
+                {report.gestationalAge || "Not dated"}
+                {report.trimester ? ` · ${report.trimester}` : ""}
+              </Typography>
+            </Box>
+            <Box>
+              <Typography variant="caption" color="text.secondary">
+                EDD
+              </Typography>
+              <Typography variant="subtitle1" sx={{ fontWeight: 700 }}>
+                {report.edd ? format(report.edd, "d MMM yyyy") : "–"}
+              </Typography>
+            </Box>
+            <Box>
+              <Typography variant="caption" color="text.secondary">
+                Last visit
+              </Typography>
+              <Typography variant="subtitle1" sx={{ fontWeight: 700 }}>
+                {report.lastVisit ? formatReportDate(report.lastVisit.date) : "–"}
+              </Typography>
+            </Box>
+          </Stack>
+          <Divider sx={{ mt: 2 }} />
+
+          <Section title="Scans and findings" empty="No scans recorded.">
+            {report.scans.length > 0 ? (
+              <Stack spacing={1.5}>
+                {report.scans.map((scan) => (
+                  <Box key={scan.key}>
+                    <Typography variant="body2">
+                      <strong>{formatReportDate(scan.date)}</strong> · {scan.title}
+                    </Typography>
+                    {scan.findings.length > 0 ? (
+                      <Box component="ul" sx={{ m: 0, pl: 3 }}>
+                        {scan.findings.map((finding) => (
+                          <Typography key={finding} component="li" variant="body2">
+                            {finding}
+                          </Typography>
+                        ))}
+                      </Box>
+                    ) : (
+                      <Typography variant="body2" color="text.secondary" sx={{ pl: 3 }}>
+                        No report recorded.
+                      </Typography>
+                    )}
+                  </Box>
+                ))}
+              </Stack>
+            ) : null}
+          </Section>
+
+          <Section title="Recent events (last 4 weeks)" empty="Nothing in the last four weeks.">
+            {report.recentEvents.length > 0
+              ? report.recentEvents.map((event) => <EventLine key={event.id} event={event} />)
+              : null}
+          </Section>
+
+          <Section title="Coming up (next 6 weeks)" empty="No appointments or screenings coming up.">
+            {report.upcomingEvents.length > 0 || report.screenings.length > 0 ? (
+              <Stack spacing={0.5}>
+                {report.upcomingEvents.map((event) => (
+                  <EventLine key={event.id} event={event} />
+                ))}
+                {report.screenings.map((item) => (
+                  <Typography key={item.id} variant="body2">
+                    <strong>
+                      {formatReportDate(item.start)} – {formatReportDate(item.end)}
+                    </strong>{" "}
+                    · {item.title} (screening window, {windowStatusLabels[item.status]})
+                  </Typography>
+                ))}
+              </Stack>
+            ) : null}
+          </Section>
+
+          <Section
+            title={
+              report.lastVisit
+                ? `Notes since the last visit (${formatReportDate(report.lastVisit.date)})`
+                : "Notes"
+            }
+            empty="No notes recorded."
+          >
+            {report.notes.length > 0 ? (
+              <Stack spacing={1}>
+                {report.notes.map((event) => (
+                  <Box key={event.id}>
+                    <Typography variant="body2">
+                      <strong>{formatReportDate(event.date)}</strong> · {event.title}
+                    </Typography>
+                    <Typography variant="body2" sx={{ pl: 3, whiteSpace: "pre-line" }}>
+                      {event.notes}
+                    </Typography>
+                  </Box>
+                ))}
+              </Stack>
+            ) : null}
+          </Section>
+        </Box>
+      </Container>
+    </Dialog>
+  );
+}
+
+export default VisitReport;
@@ -0,0 +1,348 @@
+import { useMemo, useState } from "react";
+import { format, parseISO } from "date-fns";
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  IconButton,
+  MenuItem,
+  Stack,
+  Tab,
+  Tabs,
+  TextField,
+  Typography,
+} from "@mui/material";
+import DeleteOutlineIcon from "@mui/icons-material/DeleteOutline";
+import TrendChart from "./TrendChart.jsx";
+import { getGestationalAge, normalizeProfile } from "../lib/pregnancy.js";
+import {
+  evaluateVital,
+  getWeightGainGuideline,
+  glucoseContexts,
+  weightGainRange,
+} from "../lib/vitals.js";
+
+const emptyReading = {
+  date: "",
+  weightKg: "",
+  systolic: "",
+  diastolic: "",
+  hbGdl: "",
+  glucoseMgdl: "",
+  glucoseContext: "fasting",
+};
+
+const chartTabs = [
+  { value: "weight", label: "Weight gain" },
+  { value: "bp", label: "Blood pressure" },
+  { value: "hb", label: "Haemoglobin" },
+  { value: "glucose", label: "Blood sugar" },
+];
+
+const readingFields = [
+  { name: "weightKg", label: "Weight (kg)", step: "any" },
+  { name: "systolic", label: "BP systolic" },
+  { name: "diastolic", label: "BP diastolic" },
+  { name: "hbGdl", label: "Hb (g/dL)", step: "any" },
+  { name: "glucoseMgdl", label: "Sugar (mg/dL)" },
+];
+
+const profileFields = [
+  { name: "heightCm", label: "Height (cm)" },
+  { name: "prePregnancyWeightKg", label: "Pre-pregnancy weight (kg)", step: "any" },
+  { name: "bpSystolicMax", label: "Warn at systolic ≥" },
+  { name: "bpDiastolicMax", label: "Warn at diastolic ≥" },
+  { name: "hbMin", label: "Warn at Hb below", step: "any" },
+  { name: "fastingGlucoseMax", label: "Fasting sugar above" },
+  { name: "postMealGlucoseMax", label: "Post-meal sugar above" },
+];
+
+const X_DOMAIN = [0, 42];
+
+function thresholdLine(value, color = "rgba(229,57,53,0.7)") {
+  return { color, dashed: true, points: [{ x: X_DOMAIN[0], y: value }, { x: X_DOMAIN[1], y: value }] };
+}
+
+function VitalsCard({ vitals, profile, dating, todayKey, onAdd, onDelete, onProfileChange }) {
+  const [reading, setReading] = useState(emptyReading);
+  const [chart, setChart] = useState("weight");
+  const limits = normalizeProfile(profile);
+  const guideline = getWeightGainGuideline(limits);
+
+  const plotted = useMemo(() => {
+    return vitals
+      .map((vital) => {
+        const age = getGestationalAge(dating, parseISO(vital.date));
+        return age ? { ...vital, x: age.totalDays / 7 } : null;
+      })
+      .filter(Boolean);
+  }, [vitals, dating]);
+
+  function handleReadingChange(event) {
+    const { name, value } = event.target;
+    setReading((prev) => ({ ...prev, [name]: value }));
+  }
+
+  function handleProfileFieldChange(event) {
+    const { name, value } = event.target;
+    onProfileChange({ ...profile, [name]: value });
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    const saved = onAdd({ ...reading, date: reading.date || todayKey });
+    if (saved) setReading(emptyReading);
+  }
+
+  function renderChart() {
+    if (chart === "weight") {
+      const preWeight = Number(limits.prePregnancyWeightKg);
+      const series = plotted
+        .filter((vital) => vital.weightKg !== "")
+        .map((vital) => ({ x: vital.x, y: preWeight ? vital.weightKg - preWeight : vital.weightKg }));
+      const band = guideline
+        ? [
+            {
+              color: "rgba(95,157,255,0.14)",
+              points: Array.from({ length: X_DOMAIN[1] + 1 }, (_, week) => ({
+                x: week,
+                ...weightGainRange(guideline, week),
+              })),
+            },
+          ]
+        : [];
+      return (
+        <TrendChart
+          xDomain={X_DOMAIN}
+          xLabel="Gestational week"
+          yLabel={preWeight ? "Weight gain (kg)" : "Weight (kg)"}
+          bands={band}
+          lines={[{ color: "#ff7aa2", width: 2, points: series }]}
+          points={series.map((point) => {
+            const range = guideline ? weightGainRange(guideline, point.x) : null;
+            return {
+              ...point,
+              color: "#ff7aa2",
+              highlight: Boolean(range) && (point.y < range.low || point.y > range.high),
+            };
+          })}
+        />
+      );
+    }
+
+    if (chart === "bp") {
+      const series = plotted.filter((vital) => vital.systolic !== "" || vital.diastolic !== "");
+      const systolic = series
+        .filter((vital) => vital.systolic !== "")
+        .map((vital) => ({ x: vital.x, y: vital.systolic }));
+      const diastolic = series
+        .filter((vital) => vital.diastolic !== "")
+        .map((vital) => ({ x: vital.x, y: vital.diastolic }));
+      return (
+        <TrendChart
+          xDomain={X_DOMAIN}
+          xLabel="Gestational week"
+          yLabel="mmHg"
+          lines={[
+            thresholdLine(limits.bpSystolicMax),
+            thresholdLine(limits.bpDiastolicMax, "rgba(229,57,53,0.4)"),
+            { color: "#5f9dff", width: 2, points: systolic },
+            { color: "#7e8cff", width: 2, points: diastolic },
+          ]}
+          points={[
+            ...systolic.map((point) => ({ ...point, highlight: point.y >= limits.bpSystolicMax })),
+            ...diastolic.map((point) => ({
+              ...point,
+              color: "#7e8cff",
+              highlight: point.y >= limits.bpDiastolicMax,
+            })),
+          ]}
+        />
+      );
+    }
+
+    if (chart === "hb") {
+      const series = plotted
+        .filter((vital) => vital.hbGdl !== "")
+        .map((vital) => ({ x: vital.x, y: vital.hbGdl }));
+      return (
+        <TrendChart
+          xDomain={X_DOMAIN}
+          xLabel="Gestational week"
+          yLabel="Hb (g/dL)"
+          lines={[thresholdLine(limits.hbMin), { color: "#5f9dff", width: 2, points: series }]}
+          points={series.map((point) => ({ ...point, highlight: point.y < limits.hbMin }))}
+        />
+      );
+    }
+
+    const series = plotted.filter((vital) => vital.glucoseMgdl !== "");
+    return (
+      <TrendChart
+        xDomain={X_DOMAIN}
+        xLabel="Gestational week"
+        yLabel="Blood sugar (mg/dL)"
+        lines={[
+          thresholdLine(limits.fastingGlucoseMax, "rgba(229,57,53,0.4)"),
+          thresholdLine(limits.postMealGlucoseMax),
+        ]}
+        points={series.map((vital) => ({
+          x: vital.x,
+          y: vital.glucoseMgdl,
+          color: vital.glucoseContext === "fasting" ? "#7e8cff" : "#5f9dff",
+          highlight: evaluateVital(vital, limits).some((alert) => alert.key === "glucose"),
+          label: `${vital.glucoseMgdl} mg/dL (${vital.glucoseContext || "random"})`,
+        }))}
+      />
+    );
+  }
+
+  const recent = [...vitals].reverse().slice(0, 6);
+
+  return (
+    <Card sx={{ borderRadius: 4 }}>
+      <CardContent>
+        <Typography variant="overline" sx={{ letterSpacing: "0.3em", color: "secondary.main" }}>
+          Maternal Vitals
+        </Typography>
+        <Typography variant="h3" sx={{ fontSize: 24, mt: 1 }}>
+          Weight, blood pressure, Hb and sugar
+        </Typography>
+
+        <Stack spacing={2} mt={2} component="form" onSubmit={handleSubmit}>
+          <Box
+            sx={{
+              display: "grid",
+              gridTemplateColumns: { xs: "repeat(2, minmax(0, 1fr))", md: "repeat(4, minmax(0, 1fr))" },
+              gap: 2,
+            }}
+          >
+            <TextField
+              type="date"
+              name="date"
+              label="Date"
+              value={reading.date || todayKey}
+              onChange={handleReadingChange}
+              size="small"
+              InputLabelProps={{ shrink: true }}
+            />
+            {readingFields.map((field) => (
+              <TextField
+                key={field.name}
+                type="number"
+                name={field.name}
+                label={field.label}
+                value={reading[field.name]}
+                onChange={handleReadingChange}
+                size="small"
+                inputProps={{ min: 0, step: field.step }}
+              />
+            ))}
+            <TextField
+              select
+              name="glucoseContext"
+              label="Sugar taken"
+              value={reading.glucoseContext}
+              onChange={handleReadingChange}
+              size="small"
+            >
+              {glucoseContexts.map((item) => (
+                <MenuItem key={item.value} value={item.value}>
+                  {item.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <Button type="submit" variant="contained" color="secondary">
+              Log reading
+            </Button>
+          </Box>
+        </Stack>
+
+        <Tabs
+          value={chart}
+          onChange={(_, value) => setChart(value)}
+          variant="scrollable"
+          allowScrollButtonsMobile
+          sx={{ mt: 2 }}
+        >
+          {chartTabs.map((tab) => (
+            <Tab key={tab.value} value={tab.value} label={tab.label} />
+          ))}
+        </Tabs>
+        {dating ? (
+          renderChart()
+        ) : (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            Set the LMP in the pregnancy profile to chart readings by gestational week.
+          </Typography>
+        )}
+        {chart === "weight" ? (
+          <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 1 }}>
+            {guideline
+              ? `Pre-pregnancy BMI ${guideline.bmi.toFixed(1)} (${guideline.category}): IOM recommends ${guideline.totalLow}–${guideline.totalHigh} kg total gain. Shaded band shows the recommended range by week.`
+              : "Add height and pre-pregnancy weight below to compare gain with the IOM ranges."}
+          </Typography>
+        ) : null}
+
+        {recent.length > 0 ? (
+          <Stack spacing={1} mt={2}>
+            {recent.map((vital) => {
+              const alerts = evaluateVital(vital, limits);
+              const parts = [
+                vital.weightKg !== "" ? `${vital.weightKg} kg` : null,
+                vital.systolic !== "" || vital.diastolic !== ""
+                  ? `BP ${vital.systolic || "-"}/${vital.diastolic || "-"}`
+                  : null,
+                vital.hbGdl !== "" ? `Hb ${vital.hbGdl}` : null,
+                vital.glucoseMgdl !== "" ? `Sugar ${vital.glucoseMgdl} (${vital.glucoseContext || "random"})` : null,
+              ].filter(Boolean);
+              return (
+                <Stack key={vital.id} direction="row" alignItems="center" spacing={1}>
+                  <Typography variant="body2" sx={{ fontWeight: 600, minWidth: 90 }}>
+                    {format(parseISO(vital.date), "MMM d, yyyy")}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" sx={{ flex: 1 }}>
+                    {parts.join(" · ")}
+                  </Typography>
+                  {alerts.length > 0 ? <Chip size="small" color="error" label="Check" /> : null}
+                  <IconButton size="small" aria-label="Delete reading" onClick={() => onDelete(vital)}>
+                    <DeleteOutlineIcon fontSize="small" />
+                  </IconButton>
+                </Stack>
+              );
+            })}
+          </Stack>
+        ) : null}
+
+        <Typography variant="subtitle2" sx={{ mt: 3 }}>
+          Baseline and alert thresholds
+        </Typography>
+        <Box
+          sx={{
+            mt: 1,
+            display: "grid",
+            gridTemplateColumns: { xs: "repeat(2, minmax(0, 1fr))", md: "repeat(4, minmax(0, 1fr))" },
+            gap: 2,
+          }}
+        >
+          {profileFields.map((field) => (
+            <TextField
+              key={field.name}
+              type="number"
+              name={field.name}
+              label={field.label}
+              value={profile[field.name]}
+              onChange={handleProfileFieldChange}
+              size="small"
+              inputProps={{ min: 0, step: field.step }}
+            />
+          ))}
+        </Box>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default VitalsCard;
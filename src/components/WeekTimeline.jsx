@@ -0,0 +1,148 @@
+import { useEffect, useRef } from "react";
+import { format, parseISO } from "date-fns";
+import { Box, Chip, Stack, Typography } from "@mui/material";
+import { getEventCategory } from "../lib/eventTypes.js";
+import CategoryIcon from "./CategoryIcon.jsx";
+
+const windowStatusLabels = {
+  open: "due now",
+  upcoming: "window",
+  overdue: "overdue",
+};
+
+function WeekTimeline({ timeline, currentWeek, selectedWeek, onSelectDate }) {
+  const containerRef = useRef(null);
+  const rowRefs = useRef({});
+  const scrolledWeekRef = useRef(null);
+  const focusWeek = selectedWeek ?? currentWeek;
+
+  // Brings the selected (or current) week into view inside the scroll box without moving the page.
+  // It only scrolls when the focus week changes, so editing events keeps the user's position;
+  // `timeline` is a dependency so the first scroll still happens once the rows exist.
+  useEffect(() => {
+    const container = containerRef.current;
+    const row = rowRefs.current[focusWeek];
+    if (!container || !row || scrolledWeekRef.current === focusWeek) return;
+    scrolledWeekRef.current = focusWeek;
+    container.scrollTo({ top: row.offsetTop - container.clientHeight / 3, behavior: "smooth" });
+  }, [focusWeek, timeline]);
+
+  if (timeline.length === 0) {
+    return (
+      <Typography variant="body2" sx={{ mt: 3, color: "rgba(255,255,255,0.6)" }}>
+        Set the LMP in the pregnancy profile to see the week-by-week timeline.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box
+      ref={containerRef}
+      sx={{ mt: 3, position: "relative", maxHeight: 520, overflowY: "auto", pr: 1 }}
+    >
+      {timeline.map((group) => (
+        <Box key={group.trimester} sx={{ mb: 2 }}>
+          <Typography
+            variant="overline"
+            sx={{
+              position: "sticky",
+              top: 0,
+              zIndex: 1,
+              display: "block",
+              bgcolor: "#0b1025",
+              color: "rgba(255,255,255,0.6)",
+              letterSpacing: "0.3em",
+            }}
+          >
+            {group.trimester}
+          </Typography>
+          <Stack spacing={1}>
+            {group.weeks.map((item) => {
+              const isCurrent = item.week === currentWeek;
+              const isSelected = item.week === selectedWeek;
+              return (
+                <Box
+                  key={item.week}
+                  ref={(node) => {
+                    rowRefs.current[item.week] = node;
+                  }}
+                  onClick={() => onSelectDate(item.start)}
+                  sx={{
+                    display: "grid",
+                    gridTemplateColumns: { xs: "72px 1fr", md: "96px 1fr" },
+                    gap: 1.5,
+                    alignItems: "start",
+                    borderRadius: 3,
+                    border: "1px solid",
+                    borderColor: isSelected
+                      ? "rgba(95,157,255,0.9)"
+                      : isCurrent
+                      ? "rgba(255,122,162,0.9)"
+                      : "rgba(255,255,255,0.08)",
+                    backgroundColor: isSelected
+                      ? "rgba(95,157,255,0.2)"
+                      : isCurrent
+                      ? "rgba(255,122,162,0.15)"
+                      : "rgba(255,255,255,0.04)",
+                    px: 1.5,
+                    py: 1,
+                    cursor: "pointer",
+                    "&:hover": { borderColor: "rgba(255,255,255,0.35)" },
+                  }}
+                >
+                  <Box>
+                    <Typography variant="subtitle2" sx={{ fontWeight: 700 }}>
+                      Week {item.week}
+                    </Typography>
+                    <Typography variant="caption" sx={{ color: "rgba(255,255,255,0.6)" }}>
+                      {format(item.start, "MMM d")} – {format(item.end, "MMM d")}
+                    </Typography>
+                  </Box>
+                  <Stack direction="row" spacing={0.75} flexWrap="wrap" useFlexGap>
+                    {item.events.map((eventItem) => (
+                      <Chip
+                        key={eventItem.id}
+                        size="small"
+                        icon={<CategoryIcon category={eventItem.category} />}
+                        label={`${format(parseISO(eventItem.date), "EEE")} · ${eventItem.title}`}
+                        onClick={(event) => {
+                          event.stopPropagation();
+                          onSelectDate(parseISO(eventItem.date));
+                        }}
+                        sx={{
+                          bgcolor: getEventCategory(eventItem.category).color,
+                          color: "white",
+                          "& .MuiChip-icon": { color: "white" },
+                        }}
+                      />
+                    ))}
+                    {item.windows.map((screening) => (
+                      <Chip
+                        key={screening.id}
+                        size="small"
+                        variant="outlined"
+                        label={`${screening.title} (${windowStatusLabels[screening.status]})`}
+                        sx={{
+                          color: screening.status === "overdue" ? "#ff8a80" : "rgba(255,255,255,0.75)",
+                          borderColor: "rgba(255,255,255,0.35)",
+                          borderStyle: "dashed",
+                        }}
+                      />
+                    ))}
+                    {item.events.length === 0 && item.windows.length === 0 ? (
+                      <Typography variant="caption" sx={{ color: "rgba(255,255,255,0.35)", py: 0.5 }}>
+                        Nothing planned
+                      </Typography>
+                    ) : null}
+                  </Stack>
+                </Box>
+              );
+            })}
+          </Stack>
+        </Box>
+      ))}
+    </Box>
+  );
+}
+
+export default WeekTimeline;
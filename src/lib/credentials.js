@@ -0,0 +1,47 @@
+import { decryptText, encryptText } from "./crypto.js";
+
+// The GitHub token is never kept in localStorage in plain text. It lives either in
+// sessionStorage, so it is gone when the tab closes, or in localStorage encrypted with a
+// passphrase (crypto.js) and copied to sessionStorage once unlocked.
+
+const SESSION_KEY = "pregnancy-planner-token";
+const LOCKED_KEY = "pregnancy-planner-token-locked";
+
+export const tokenStorageModes = [
+  { value: "session", label: "This tab only" },
+  { value: "locked", label: "Remember, locked with a passphrase" },
+];
+
+export function loadSessionToken() {
+  return sessionStorage.getItem(SESSION_KEY) || "";
+}
+
+export function setSessionToken(token) {
+  sessionStorage.setItem(SESSION_KEY, token);
+}
+
+export function hasLockedToken() {
+  return localStorage.getItem(LOCKED_KEY) !== null;
+}
+
+export async function saveToken(token, { storage, passphrase }) {
+  if (storage === "locked") {
+    const envelope = await encryptText(token, passphrase);
+    localStorage.setItem(LOCKED_KEY, JSON.stringify(envelope));
+  } else {
+    localStorage.removeItem(LOCKED_KEY);
+  }
+  setSessionToken(token);
+}
+
+// Throws PassphraseError when the passphrase is wrong.
+export async function unlockToken(passphrase) {
+  const token = await decryptText(JSON.parse(localStorage.getItem(LOCKED_KEY)), passphrase);
+  setSessionToken(token);
+  return token;
+}
+
+export function forgetToken() {
+  sessionStorage.removeItem(SESSION_KEY);
+  localStorage.removeItem(LOCKED_KEY);
+}
@@ -0,0 +1,91 @@
+import { arrayBufferToBase64, base64ToArrayBuffer } from "./github.js";
+
+// Passphrase mode: the JSON body is encrypted with AES-GCM under a key derived from the
+// passphrase with PBKDF2, and only this envelope is written to the repo.
+
+export const ENVELOPE_FORMAT = "pregnancy-planner-encrypted";
+const ENVELOPE_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+export class PassphraseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PassphraseError";
+  }
+}
+
+export function isEncryptedEnvelope(value) {
+  return value?.format === ENVELOPE_FORMAT && typeof value.ciphertext === "string";
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// A fresh salt and IV on every call, so the same data never produces the same envelope.
+export async function encryptText(text, passphrase) {
+  if (!passphrase) throw new PassphraseError("Enter the passphrase before syncing.");
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(text)
+  );
+  return {
+    format: ENVELOPE_FORMAT,
+    version: ENVELOPE_VERSION,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: PBKDF2_ITERATIONS, salt: arrayBufferToBase64(salt) },
+    cipher: { name: "AES-GCM", iv: arrayBufferToBase64(iv) },
+    ciphertext: arrayBufferToBase64(ciphertext),
+  };
+}
+
+// AES-GCM authenticates the ciphertext, so a wrong passphrase fails here instead of
+// producing garbage.
+export async function decryptText(envelope, passphrase) {
+  if (!isEncryptedEnvelope(envelope) || envelope.version !== ENVELOPE_VERSION) {
+    throw new Error("The encrypted data file is not in a format this app can read.");
+  }
+  if (!passphrase) throw new PassphraseError("Enter the passphrase to decrypt the data.");
+  const key = await deriveKey(
+    passphrase,
+    base64ToArrayBuffer(envelope.kdf.salt),
+    envelope.kdf.iterations
+  );
+  // A damaged file is reported as such, not as a wrong passphrase.
+  let iv;
+  let ciphertext;
+  try {
+    iv = base64ToArrayBuffer(envelope.cipher.iv);
+    ciphertext = base64ToArrayBuffer(envelope.ciphertext);
+  } catch {
+    throw new Error("The encrypted data file is damaged.");
+  }
+  try {
+    const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv }, key, ciphertext);
+    return new TextDecoder().decode(plain);
+  } catch {
+    throw new PassphraseError("That passphrase does not decrypt the data.");
+  }
+}
+
+export function buildEnvelopeBody(envelope) {
+  return JSON.stringify(envelope, null, 2);
+}
@@ -0,0 +1,383 @@
+import { isEncryptedEnvelope } from "./crypto.js";
+import { parseDateValue } from "./dates.js";
+import { categorizeEvent, isEventCategory } from "./eventTypes.js";
+import { createId } from "./ids.js";
+import {
+  doseColumns,
+  medicationColumns,
+  normalizeDose,
+  normalizeMedication,
+  sortDoses,
+  sortMedications,
+} from "./medications.js";
+import {
+  contractionColumns,
+  kickColumns,
+  normalizeContraction,
+  normalizeKickSession,
+  sortContractions,
+  sortKickSessions,
+} from "./monitoring.js";
+import { defaultProfile, normalizeProfile } from "./pregnancy.js";
+import {
+  measurementFields,
+  normalizeReport,
+  reportColumns,
+  reportToRow,
+  sortReports,
+} from "./reports.js";
+import { normalizeVital, numericVitalKeys, sortVitals, vitalColumns } from "./vitals.js";
+import { canonicalizeRow, checkHeaders, columnAliases, eventAliases, validateRows } from "./validation.js";
+
+// import.meta.env is missing when the build plugin loads this module in Node.
+const BASE_URL = import.meta.env?.BASE_URL || "/";
+export const DATA_XLSX = `${BASE_URL}data/pregnancy-data.xlsx`;
+export const DATA_JSON = `${BASE_URL}data/pregnancy-data.json`;
+// Written by plugins/pregnancyData.js: the workbook converted to JSON at build time.
+export const SHEET_BUNDLE_FILE = "data/pregnancy-data.xlsx.json";
+export const DATA_SHEET_BUNDLE = `${BASE_URL}${SHEET_BUNDLE_FILE}`;
+// Written instead of the JSON and the workbook when passphrase mode is on (see crypto.js).
+export const ENCRYPTED_FILE = "data/pregnancy-data.enc.json";
+export const DATA_ENCRYPTED = `${BASE_URL}${ENCRYPTED_FILE}`;
+
+const EVENTS_SHEET = "Events";
+const PROFILE_SHEET = "Profile";
+
+// Record collections stored under their own JSON key and in their own sheet.
+const collections = [
+  {
+    key: "reports",
+    sheet: "Reports",
+    columns: reportColumns,
+    aliases: columnAliases(reportColumns),
+    numericFields: measurementFields.filter((field) => field.type === "number").map((field) => field.key),
+    normalize: normalizeReport,
+    toRow: reportToRow,
+    sort: sortReports,
+    signature: (report) => `${report.date}|${report.title.toLowerCase()}`,
+  },
+  {
+    key: "vitals",
+    sheet: "Vitals",
+    columns: vitalColumns,
+    aliases: columnAliases(vitalColumns),
+    numericFields: numericVitalKeys,
+    normalize: normalizeVital,
+    toRow: (vital) => vital,
+    sort: sortVitals,
+  },
+  {
+    key: "medications",
+    sheet: "Medications",
+    columns: medicationColumns,
+    aliases: columnAliases(medicationColumns),
+    numericFields: ["startWeek", "endWeek"],
+    normalize: normalizeMedication,
+    toRow: (medication) => medication,
+    sort: sortMedications,
+    dated: false,
+    signature: (medication) => medication.name.toLowerCase(),
+    check: (medication) => (medication.name ? [] : ["Missing medication name"]),
+  },
+  {
+    key: "doses",
+    sheet: "Medication log",
+    columns: doseColumns,
+    aliases: columnAliases(doseColumns),
+    numericFields: ["taken"],
+    normalize: normalizeDose,
+    toRow: (dose) => dose,
+    sort: sortDoses,
+    signature: (dose) => `${dose.medicationId}|${dose.date}`,
+  },
+  {
+    key: "kickSessions",
+    sheet: "Kick counts",
+    columns: kickColumns,
+    aliases: columnAliases(kickColumns),
+    numericFields: ["gaWeek", "kicks", "minutesToGoal"],
+    normalize: normalizeKickSession,
+    toRow: (session) => session,
+    sort: sortKickSessions,
+  },
+  {
+    key: "contractions",
+    sheet: "Contractions",
+    columns: contractionColumns,
+    aliases: columnAliases(contractionColumns),
+    numericFields: ["gaWeek", "durationSec", "intervalSec"],
+    normalize: normalizeContraction,
+    toRow: (contraction) => contraction,
+    sort: sortContractions,
+  },
+];
+
+// Two events on the same day with the same type and title are taken to be the same appointment.
+export function eventSignature(event) {
+  return `${event.date}|${event.type.toLowerCase()}|${event.title.toLowerCase()}`;
+}
+
+const eventRules = {
+  aliases: eventAliases,
+  normalize: normalizeEvent,
+  signature: eventSignature,
+  check: (event) => (event.title ? [] : ["Missing title"]),
+};
+
+const PROFILE_DATE_FIELDS = ["lmp", "scanDate"];
+
+// sheet_to_json tags each row with its 0-based sheet index; spreadsheet rows are 1-based.
+function sheetRowNumber(raw) {
+  return raw.__rowNum__ + 1;
+}
+
+function jsonRowNumber(_, index) {
+  return index + 1;
+}
+
+export function sortEvents(events) {
+  return [...events].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export function normalizeEvent(raw) {
+  const values = canonicalizeRow(raw, eventAliases);
+  const type = String(values.type ?? "").trim();
+  const title = String(values.title ?? "").trim();
+  const category = String(values.category ?? "").trim().toLowerCase();
+  return {
+    id: String(values.id ?? "").trim() || createId(),
+    date: parseDateValue(values.date).date,
+    type,
+    category: isEventCategory(category) ? category : categorizeEvent({ type, title }),
+    title,
+    notes: String(values.notes ?? "").trim(),
+  };
+}
+
+function readProfile(raw, source, rowFor) {
+  const issues = PROFILE_DATE_FIELDS.filter((field) => {
+    const value = raw[field];
+    return value !== undefined && String(value).trim() !== "" && !parseDateValue(value).date;
+  }).map((field) => ({
+    source,
+    row: rowFor(field),
+    level: "error",
+    reason: `Unrecognised ${field} date "${raw[field]}"`,
+  }));
+  return { profile: normalizeProfile({ ...defaultProfile, ...raw }), issues };
+}
+
+function profileFromRows(rows) {
+  const rowsByField = {};
+  const raw = rows.reduce((acc, row) => {
+    const values = canonicalizeRow(row, { field: ["field"], value: ["value"] });
+    const field = String(values.field ?? "").trim();
+    if (field) {
+      acc[field] = values.value ?? "";
+      rowsByField[field] = sheetRowNumber(row);
+    }
+    return acc;
+  }, {});
+  return readProfile(raw, PROFILE_SHEET, (field) => rowsByField[field]);
+}
+
+function readCollection(collection, rows, options) {
+  const { records, issues } = validateRows(rows, { ...collection, ...options });
+  return { records: collection.sort(records), issues };
+}
+
+function profileToRows(profile) {
+  return Object.keys(defaultProfile).map((field) => ({
+    field,
+    value: profile[field] ?? "",
+  }));
+}
+
+// SheetJS is only needed to read or write workbooks, so it is loaded on demand and stays out of
+// the main bundle.
+function loadXlsx() {
+  return import("xlsx");
+}
+
+// Raw cell values keep date cells as Excel serial numbers instead of locale-formatted text.
+function readSheetRows(XLSX, workbook, name) {
+  const sheet = workbook.Sheets[name];
+  return sheet ? XLSX.utils.sheet_to_json(sheet, { defval: "", raw: true }) : [];
+}
+
+// Returns { data, issues }, where issues lists every skipped or suspicious row (see validation.js).
+export async function readWorkbookBuffer(buffer) {
+  const XLSX = await loadXlsx();
+  const workbook = XLSX.read(buffer, { type: buffer instanceof ArrayBuffer ? "array" : "buffer" });
+  const eventsSheet = workbook.Sheets[EVENTS_SHEET] ? EVENTS_SHEET : workbook.SheetNames[0];
+  const eventRows = readSheetRows(XLSX, workbook, eventsSheet);
+  const events = validateRows(eventRows, {
+    ...eventRules,
+    source: eventsSheet,
+    rowNumber: sheetRowNumber,
+  });
+  const profile = profileFromRows(readSheetRows(XLSX, workbook, PROFILE_SHEET));
+  const data = { profile: profile.profile, events: events.records };
+  const issues = [...checkHeaders(eventRows, eventAliases, eventsSheet), ...events.issues, ...profile.issues];
+
+  collections.forEach((collection) => {
+    const rows = readSheetRows(XLSX, workbook, collection.sheet);
+    const parsed = readCollection(collection, rows, { source: collection.sheet, rowNumber: sheetRowNumber });
+    data[collection.key] = parsed.records;
+    issues.push(...checkHeaders(rows, collection.aliases, collection.sheet), ...parsed.issues);
+  });
+  return { data, issues };
+}
+
+export function readJsonData(json) {
+  const rows = Array.isArray(json?.events) ? json.events : [];
+  const events = validateRows(rows, { ...eventRules, source: "JSON events", rowNumber: jsonRowNumber });
+  const profile = readProfile(json?.profile || {}, "JSON profile", () => null);
+  const data = { profile: profile.profile, events: events.records };
+  const issues = [...events.issues, ...profile.issues];
+
+  collections.forEach((collection) => {
+    const records = Array.isArray(json?.[collection.key]) ? json[collection.key] : [];
+    const parsed = readCollection(collection, records, {
+      source: `JSON ${collection.key}`,
+      rowNumber: jsonRowNumber,
+    });
+    data[collection.key] = parsed.records;
+    issues.push(...parsed.issues);
+  });
+  return { data, issues };
+}
+
+export function parseJsonData(json) {
+  return readJsonData(json).data;
+}
+
+function toJsonObject(data) {
+  const body = { profile: data.profile, events: data.events };
+  collections.forEach((collection) => {
+    body[collection.key] = data[collection.key] || [];
+  });
+  return body;
+}
+
+export function buildJsonBody(data) {
+  return JSON.stringify(toJsonObject(data), null, 2);
+}
+
+// The build plugin has already failed on errors, so only warnings travel with the bundle.
+export function buildSheetBundle(data, issues) {
+  return JSON.stringify({ data: toJsonObject(data), issues });
+}
+
+export async function buildWorkbookBuffer(data) {
+  const XLSX = await loadXlsx();
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(data.events), EVENTS_SHEET);
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(profileToRows(data.profile)), PROFILE_SHEET);
+  collections.forEach((collection) => {
+    const rows = (data[collection.key] || []).map(collection.toRow);
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.json_to_sheet(rows, { header: collection.columns }),
+      collection.sheet
+    );
+  });
+  return XLSX.write(workbook, { type: "array", bookType: "xlsx" });
+}
+
+// Production builds read the JSON the build plugin converted from the workbook; the dev server
+// parses the workbook itself so edits show up on reload.
+export async function fetchSheetData() {
+  if (import.meta.env.PROD) {
+    const response = await fetch(DATA_SHEET_BUNDLE);
+    if (!response.ok) {
+      throw new Error("Unable to load pregnancy-data.xlsx.json");
+    }
+    const bundle = await response.json();
+    return { data: parseJsonData(bundle.data), issues: bundle.issues };
+  }
+
+  const response = await fetch(DATA_XLSX);
+  if (!response.ok) {
+    throw new Error("Unable to load pregnancy-data.xlsx");
+  }
+  return readWorkbookBuffer(await response.arrayBuffer());
+}
+
+export async function fetchJsonData() {
+  const response = await fetch(DATA_JSON);
+  if (!response.ok) {
+    throw new Error("Unable to load pregnancy-data.json");
+  }
+  return readJsonData(await response.json());
+}
+
+// Null when no envelope is deployed. Anything that is not an envelope counts as missing, since a
+// dev server may answer unknown paths with index.html.
+export async function fetchEncryptedData() {
+  const response = await fetch(DATA_ENCRYPTED);
+  if (!response.ok) return null;
+  const envelope = await response.json().catch(() => null);
+  return isEncryptedEnvelope(envelope) ? envelope : null;
+}
+
+// Both files are read so that drift between them can be shown instead of one silently winning.
+// Each side is `{ data, issues }`, or null when that file is missing. When an encrypted envelope
+// is deployed it is returned alone as `{ envelope }`.
+export async function fetchStaticData() {
+  const envelope = await fetchEncryptedData();
+  if (envelope) return { envelope };
+  const [json, sheet] = await Promise.allSettled([fetchJsonData(), fetchSheetData()]);
+  if (json.status === "rejected" && sheet.status === "rejected") {
+    throw json.reason;
+  }
+  return {
+    json: json.status === "fulfilled" ? json.value : null,
+    sheet: sheet.status === "fulfilled" ? sheet.value : null,
+  };
+}
+
+// Reads the data straight from the branch so a fresh sync shows up before the Pages deploy finishes.
+// An encrypted envelope on the branch takes precedence and is returned still locked. Production
+// reads only the JSON, so SheetJS is not downloaded on every load; the workbook is compared on
+// request with fetchRepoSheet.
+export async function fetchRepoData(
+  github,
+  { jsonPath, xlsxPath, encryptedPath },
+  { withSheet = !import.meta.env?.PROD } = {}
+) {
+  const commitSha = await github.getBranchHead();
+  const encrypted = encryptedPath ? await github.getFile(encryptedPath, commitSha) : null;
+  if (encrypted) {
+    const envelope = JSON.parse(encrypted.content);
+    if (!isEncryptedEnvelope(envelope)) {
+      throw new Error(`${encryptedPath} is not an encrypted data file.`);
+    }
+    return { envelope, commitSha, envelopeSha: encrypted.sha };
+  }
+
+  const [json, sheet] = await Promise.all([
+    github.getFile(jsonPath, commitSha),
+    withSheet ? github.getBinaryFile(xlsxPath, commitSha) : null,
+  ]);
+  if (!json && !sheet) {
+    throw new Error(
+      withSheet
+        ? `Neither ${jsonPath} nor ${xlsxPath} exists on ${github.branch}.`
+        : `${jsonPath} does not exist on ${github.branch}.`
+    );
+  }
+
+  return {
+    json: json ? readJsonData(JSON.parse(json.content)) : null,
+    sheet: sheet ? await readWorkbookBuffer(sheet.content) : null,
+    commitSha,
+    jsonSha: json ? json.sha : null,
+  };
+}
+
+// The workbook at `ref` as `{ data, issues }`, or null when it is missing. Loads SheetJS.
+export async function fetchRepoSheet(github, xlsxPath, ref) {
+  const sheet = await github.getBinaryFile(xlsxPath, ref);
+  return sheet ? readWorkbookBuffer(sheet.content) : null;
+}
@@ -0,0 +1,89 @@
+import { format, isValid, parse, parseISO } from "date-fns";
+
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_EXCEL_SERIAL = 2958465;
+const TEXT_MONTH_FORMATS = ["d MMM yyyy", "d MMMM yyyy", "MMM d, yyyy", "MMMM d, yyyy", "d-MMM-yyyy", "d-MMM-yy"];
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+function toDateKey(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return "";
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function expandYear(year) {
+  return year.length === 2 ? 2000 + Number(year) : Number(year);
+}
+
+// Excel stores dates as days since 1899-12-30 (the offset absorbs its 1900 leap-year bug).
+export function excelSerialToDateKey(serial) {
+  if (!Number.isFinite(serial) || serial < 1 || serial > MAX_EXCEL_SERIAL) return "";
+  const date = new Date(EXCEL_EPOCH_MS + Math.floor(serial) * DAY_MS);
+  return toDateKey(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+}
+
+// Returns { date, note }: `date` is yyyy-MM-dd or "" when the value cannot be read, and `note`
+// explains any guess made along the way (serial numbers typed as text, day/month order).
+export function parseDateValue(value) {
+  if (value === null || value === undefined || value === "") return { date: "", note: "" };
+  if (value instanceof Date) {
+    return { date: isValid(value) ? format(value, "yyyy-MM-dd") : "", note: "" };
+  }
+  if (typeof value === "number") {
+    return { date: excelSerialToDateKey(value), note: "" };
+  }
+
+  const text = String(value).trim();
+  const compact = text.match(/^((?:19|20)\d{2})(\d{2})(\d{2})$/);
+  if (compact) {
+    return { date: toDateKey(Number(compact[1]), Number(compact[2]), Number(compact[3])), note: "" };
+  }
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const date = excelSerialToDateKey(Number(text));
+    return { date, note: date ? `Excel serial number ${text} read as ${date}` : "" };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}[T ]/.test(text)) {
+    const parsed = parseISO(text);
+    return { date: isValid(parsed) ? format(parsed, "yyyy-MM-dd") : "", note: "" };
+  }
+
+  const ymd = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (ymd) {
+    return { date: toDateKey(Number(ymd[1]), Number(ymd[2]), Number(ymd[3])), note: "" };
+  }
+
+  const numeric = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (numeric) {
+    const first = Number(numeric[1]);
+    const second = Number(numeric[2]);
+    const year = expandYear(numeric[3]);
+    if (first <= 12 && second > 12) {
+      const date = toDateKey(year, first, second);
+      return { date, note: date ? `"${text}" read as month/day/year` : "" };
+    }
+    const date = toDateKey(year, second, first);
+    const ambiguous = first <= 12 && first !== second;
+    return { date, note: date && ambiguous ? `"${text}" is ambiguous; read as day/month/year` : "" };
+  }
+
+  for (const pattern of TEXT_MONTH_FORMATS) {
+    const parsed = parse(text, pattern, new Date());
+    if (isValid(parsed)) {
+      return { date: format(parsed, "yyyy-MM-dd"), note: "" };
+    }
+  }
+
+  return { date: "", note: "" };
+}
+
+export function formatDateInput(value) {
+  return parseDateValue(value).date;
+}
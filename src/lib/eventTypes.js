@@ -0,0 +1,83 @@
+// Managed event categories. `type` stays free text for detail ("Ultrasound 2", "TT dose 1");
+// `category` is one of these keys and drives colors, icons, filters and the scan list.
+// `reminders` are the default lead times (see leadTimes in reminders.js).
+export const eventCategories = [
+  {
+    key: "scan",
+    label: "Scan",
+    color: "#5f9dff",
+    keywords: ["ultrasound", "scan", "usg", "sonography", "doppler", "anomaly", "echo", "nt"],
+    reminders: ["1d", "2h"],
+  },
+  {
+    key: "lab",
+    label: "Lab test",
+    color: "#46c2a8",
+    keywords: [
+      "lab", "test", "blood", "urine", "gtt", "ogtt", "glucose", "cbc", "hb", "thyroid", "tsh",
+      "culture", "nipt",
+    ],
+    reminders: ["1d"],
+  },
+  {
+    key: "vaccine",
+    label: "Vaccine",
+    color: "#ffb74d",
+    keywords: [
+      "vaccine", "vaccination", "injection", "tt", "td", "tdap", "flu", "influenza", "immunisation",
+      "immunization", "dose", "shot",
+    ],
+    reminders: ["1d"],
+  },
+  {
+    key: "consultation",
+    label: "Consultation",
+    color: "#7e8cff",
+    keywords: [
+      "consultation", "consult", "visit", "checkup", "check-up", "appointment", "doctor", "obgyn",
+      "antenatal", "anc",
+    ],
+    reminders: ["1d", "2h"],
+  },
+  {
+    key: "milestone",
+    label: "Milestone",
+    color: "#ff7aa2",
+    keywords: ["milestone", "lmp", "edd", "due", "trimester", "birth", "delivery"],
+    reminders: ["1w"],
+  },
+  {
+    key: "personal",
+    label: "Personal",
+    color: "#ba68c8",
+    keywords: [],
+    reminders: [],
+  },
+];
+
+export const DEFAULT_CATEGORY = "personal";
+
+const categoriesByKey = new Map(eventCategories.map((category) => [category.key, category]));
+
+function findByKeyword(text) {
+  const words = String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9-]+/)
+    .filter(Boolean);
+  return eventCategories.find((category) =>
+    category.keywords.some((keyword) => words.includes(keyword))
+  );
+}
+
+export function isEventCategory(value) {
+  return categoriesByKey.has(value);
+}
+
+// Maps a legacy free-text type (falling back to the title) onto a managed category.
+export function categorizeEvent({ type, title }) {
+  return (findByKeyword(type) || findByKeyword(title))?.key || DEFAULT_CATEGORY;
+}
+
+export function getEventCategory(key) {
+  return categoriesByKey.get(key) || categoriesByKey.get(DEFAULT_CATEGORY);
+}
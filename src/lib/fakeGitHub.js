@@ -0,0 +1,188 @@
+import { base64ToString, stringToBase64 } from "./github.js";
+
+const FAKE_API = "https://fake-github.test";
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+// In-memory stand-in for the parts of the GitHub REST API the app uses (user, repo, contents, git
+// data, commits). Pass `fake.fetch` and `fake.apiUrl` to createGitHubClient to exercise sync
+// without the network. `scopes` is the classic token scope header; null mimics a fine-grained token.
+export function createFakeGitHub({
+  owner,
+  repo,
+  branch = "main",
+  token = "test-token",
+  scopes = "repo",
+  canPush = true,
+  files = {},
+}) {
+  let counter = 0;
+  const blobs = new Map();
+  const trees = new Map();
+  const commits = new Map();
+  const refs = new Map();
+
+  function nextSha() {
+    counter += 1;
+    return counter.toString(16).padStart(40, "0");
+  }
+
+  function putBlob(base64) {
+    const sha = nextSha();
+    blobs.set(sha, base64);
+    return sha;
+  }
+
+  function putTree(entries) {
+    const sha = nextSha();
+    trees.set(sha, entries);
+    return sha;
+  }
+
+  function putCommit({ tree, parents, message }) {
+    const sha = nextSha();
+    commits.set(sha, { sha, tree, parents, message, date: new Date(Date.now() + counter).toISOString() });
+    return sha;
+  }
+
+  function resolveCommit(ref) {
+    return commits.get(refs.get(ref) || ref) || null;
+  }
+
+  function isAncestor(ancestor, descendant) {
+    const queue = [descendant];
+    while (queue.length) {
+      const sha = queue.shift();
+      if (sha === ancestor) return true;
+      queue.push(...(commits.get(sha)?.parents || []));
+    }
+    return false;
+  }
+
+  function commitTextFiles(textFiles, message) {
+    const head = refs.get(branch);
+    const entries = new Map(head ? trees.get(commits.get(head).tree) : []);
+    Object.entries(textFiles).forEach(([path, text]) => {
+      entries.set(path, putBlob(stringToBase64(text)));
+    });
+    const sha = putCommit({ tree: putTree(entries), parents: head ? [head] : [], message });
+    refs.set(branch, sha);
+    return sha;
+  }
+
+  commitTextFiles(files, "Initial commit");
+
+  const prefix = `${FAKE_API}/repos/${owner}/${repo}`;
+
+  async function handle(url, init = {}) {
+    const method = (init.method || "GET").toUpperCase();
+    if (init.headers?.Authorization !== `token ${token}`) {
+      return jsonResponse(401, { message: "Bad credentials" });
+    }
+    if (method === "GET" && url === `${FAKE_API}/user`) {
+      return jsonResponse(200, { login: owner }, scopes === null ? {} : { "X-OAuth-Scopes": scopes });
+    }
+    if (!url.startsWith(prefix)) {
+      return jsonResponse(404, { message: "Not Found" });
+    }
+    const { pathname, searchParams } = new URL(url.slice(prefix.length) || "/", FAKE_API);
+    const body = init.body ? JSON.parse(init.body) : {};
+
+    if (method === "GET" && pathname === "/") {
+      return jsonResponse(200, {
+        full_name: `${owner}/${repo}`,
+        private: true,
+        default_branch: branch,
+        permissions: { pull: true, push: canPush },
+      });
+    }
+
+    if (method === "GET" && pathname.startsWith("/contents/")) {
+      const commit = resolveCommit(searchParams.get("ref") || branch);
+      const path = decodeURIComponent(pathname.slice("/contents/".length));
+      const blobSha = commit && trees.get(commit.tree).get(path);
+      if (!blobSha) return jsonResponse(404, { message: "Not Found" });
+      return jsonResponse(200, { sha: blobSha, path, encoding: "base64", content: blobs.get(blobSha) });
+    }
+
+    // Follows first parents like `git log --first-parent -- path`.
+    if (method === "GET" && pathname === "/commits") {
+      const path = searchParams.get("path");
+      const limit = Number(searchParams.get("per_page")) || 30;
+      const history = [];
+      let commit = resolveCommit(searchParams.get("sha") || branch);
+      while (commit && history.length < limit) {
+        const parent = commits.get(commit.parents[0]);
+        const blobSha = trees.get(commit.tree).get(path);
+        if (blobSha !== (parent ? trees.get(parent.tree).get(path) : undefined)) {
+          history.push({
+            sha: commit.sha,
+            commit: { message: commit.message, author: { name: owner, date: commit.date } },
+          });
+        }
+        commit = parent;
+      }
+      return jsonResponse(200, history);
+    }
+
+    if (method === "GET" && pathname === `/git/ref/heads/${branch}`) {
+      return jsonResponse(200, { ref: `refs/heads/${branch}`, object: { sha: refs.get(branch), type: "commit" } });
+    }
+
+    if (method === "GET" && pathname.startsWith("/git/commits/")) {
+      const commit = commits.get(pathname.slice("/git/commits/".length));
+      if (!commit) return jsonResponse(404, { message: "Not Found" });
+      return jsonResponse(200, {
+        sha: commit.sha,
+        message: commit.message,
+        tree: { sha: commit.tree },
+        parents: commit.parents.map((sha) => ({ sha })),
+      });
+    }
+
+    if (method === "POST" && pathname === "/git/blobs") {
+      return jsonResponse(201, { sha: putBlob(body.content) });
+    }
+
+    if (method === "POST" && pathname === "/git/trees") {
+      const entries = new Map(body.base_tree ? trees.get(body.base_tree) : []);
+      body.tree.forEach((entry) =>
+        entry.sha === null ? entries.delete(entry.path) : entries.set(entry.path, entry.sha)
+      );
+      return jsonResponse(201, { sha: putTree(entries) });
+    }
+
+    if (method === "POST" && pathname === "/git/commits") {
+      return jsonResponse(201, { sha: putCommit(body) });
+    }
+
+    if (method === "PATCH" && pathname === `/git/refs/heads/${branch}`) {
+      if (!body.force && !isAncestor(refs.get(branch), body.sha)) {
+        return jsonResponse(422, { message: "Update is not a fast forward" });
+      }
+      refs.set(branch, body.sha);
+      return jsonResponse(200, { object: { sha: body.sha } });
+    }
+
+    return jsonResponse(404, { message: "Not Found" });
+  }
+
+  return {
+    apiUrl: FAKE_API,
+    fetch: handle,
+    headSha: () => refs.get(branch),
+    commitCount: () => commits.size,
+    readFile(path, ref = branch) {
+      const commit = resolveCommit(ref);
+      const blobSha = commit && trees.get(commit.tree).get(path);
+      return blobSha ? base64ToString(blobs.get(blobSha)) : null;
+    },
+    // Simulates someone else pushing to the branch.
+    pushExternalCommit: commitTextFiles,
+  };
+}
@@ -0,0 +1,225 @@
+const GITHUB_API = "https://api.github.com";
+
+export function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+export function stringToBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  return arrayBufferToBase64(bytes.buffer);
+}
+
+export function base64ToString(base64) {
+  const binary = atob(base64.replace(/\s/g, ""));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+export function base64ToArrayBuffer(base64) {
+  const binary = atob(base64.replace(/\s/g, ""));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0)).buffer;
+}
+
+// Classic token scopes the app needs; fine-grained tokens report no scopes at all.
+const NEEDED_SCOPES = ["repo", "public_repo"];
+
+export class GitHubConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GitHubConflictError";
+  }
+}
+
+// `fetch` and `apiUrl` can be swapped for a fake server (see fakeGitHub.js).
+export function createGitHubClient(
+  { owner, repo, branch, token },
+  { fetch: fetchImpl = globalThis.fetch.bind(globalThis), apiUrl = GITHUB_API } = {}
+) {
+  const repoUrl = `${apiUrl}/repos/${owner}/${repo}`;
+
+  async function send(url, { method = "GET", body } = {}) {
+    return fetchImpl(url, {
+      method,
+      headers: {
+        Authorization: `token ${token}`,
+        Accept: "application/vnd.github+json",
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  }
+
+  async function request(path, { method = "GET", body, allowNotFound = false } = {}) {
+    const response = await send(`${repoUrl}${path}`, { method, body });
+
+    if (allowNotFound && response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`GitHub ${method} ${path.split("?")[0]} failed: ${response.status} ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  async function getFileRaw(path, ref = branch) {
+    const data = await request(`/contents/${path}?ref=${encodeURIComponent(ref)}`, {
+      allowNotFound: true,
+    });
+    return data ? { sha: data.sha, base64: data.content || "" } : null;
+  }
+
+  return {
+    branch,
+
+    async getFile(path, ref) {
+      const file = await getFileRaw(path, ref);
+      return file ? { sha: file.sha, content: base64ToString(file.base64) } : null;
+    },
+
+    async getBinaryFile(path, ref) {
+      const file = await getFileRaw(path, ref);
+      return file ? { sha: file.sha, content: base64ToArrayBuffer(file.base64) } : null;
+    },
+
+    // Checks the token, the repository and the branch in turn and stops at the first one that
+    // fails, since the later checks mean nothing without it. `scopes` is null for fine-grained tokens.
+    async verifyConnection() {
+      const user = await send(`${apiUrl}/user`);
+      if (!user.ok) {
+        return {
+          ok: false,
+          problem:
+            user.status === 401
+              ? "GitHub rejected the token. It may have expired or been revoked."
+              : `GitHub could not check the token (${user.status}).`,
+        };
+      }
+      const { login } = await user.json();
+      const header = user.headers.get("X-OAuth-Scopes");
+      const scopes = header === null ? null : header.split(",").map((scope) => scope.trim()).filter(Boolean);
+
+      const repoInfo = await request("", { allowNotFound: true });
+      if (!repoInfo) {
+        return { ok: false, login, scopes, problem: `${owner}/${repo} does not exist or the token cannot see it.` };
+      }
+      if (repoInfo.permissions && !repoInfo.permissions.push) {
+        return { ok: false, login, scopes, problem: `The token can read ${owner}/${repo} but cannot push to it.` };
+      }
+
+      const ref = await request(`/git/ref/heads/${branch}`, { allowNotFound: true });
+      if (!ref) {
+        return {
+          ok: false,
+          login,
+          scopes,
+          problem: `${owner}/${repo} has no branch "${branch}" (the default branch is ${repoInfo.default_branch}).`,
+        };
+      }
+
+      return { ok: true, login, scopes };
+    },
+
+    // Commits on the branch that touched `path`, newest first.
+    async listCommits(path, { perPage = 30 } = {}) {
+      const query = `sha=${encodeURIComponent(branch)}&path=${encodeURIComponent(path)}&per_page=${perPage}`;
+      const commits = await request(`/commits?${query}`);
+      return commits.map((item) => ({
+        sha: item.sha,
+        message: item.commit.message,
+        author: item.commit.author?.name || "",
+        date: item.commit.author?.date || "",
+      }));
+    },
+
+    async getBranchHead() {
+      const data = await request(`/git/ref/heads/${branch}`);
+      return data.object.sha;
+    },
+
+    // Writes every file in a single commit on top of `parentSha`. The ref update is not forced,
+    // so it fails with GitHubConflictError if the branch has moved past `parentSha`. Paths in
+    // `remove` are deleted in the same commit; ones missing from the parent are skipped.
+    async commitFiles({ files, remove = [], message, parentSha }) {
+      const parent = parentSha || (await this.getBranchHead());
+      const parentCommit = await request(`/git/commits/${parent}`);
+      const existing = await Promise.all(remove.map((path) => getFileRaw(path, parent)));
+      const removed = remove.filter((_, index) => existing[index]);
+
+      const blobs = {};
+      for (const file of files) {
+        const blob = await request("/git/blobs", {
+          method: "POST",
+          body: { content: file.content, encoding: "base64" },
+        });
+        blobs[file.path] = blob.sha;
+      }
+
+      const tree = await request("/git/trees", {
+        method: "POST",
+        body: {
+          base_tree: parentCommit.tree.sha,
+          tree: [
+            ...files.map((file) => ({
+              path: file.path,
+              mode: "100644",
+              type: "blob",
+              sha: blobs[file.path],
+            })),
+            ...removed.map((path) => ({ path, mode: "100644", type: "blob", sha: null })),
+          ],
+        },
+      });
+
+      const commit = await request("/git/commits", {
+        method: "POST",
+        body: { message, tree: tree.sha, parents: [parent] },
+      });
+
+      try {
+        await request(`/git/refs/heads/${branch}`, {
+          method: "PATCH",
+          body: { sha: commit.sha, force: false },
+        });
+      } catch (error) {
+        if (error.status === 409 || error.status === 422) {
+          throw new GitHubConflictError(
+            `${branch} moved on GitHub while syncing. Nothing was written; sync again to review the changes.`
+          );
+        }
+        throw error;
+      }
+
+      return { commitSha: commit.sha, blobs };
+    },
+  };
+}
+
+// Warnings for a verified token: extra classic scopes the app never uses, and the reach of `repo`
+// itself, which covers every repository the account can access.
+export function reviewTokenScopes(scopes) {
+  if (scopes === null) return [];
+  const warnings = [];
+  const extra = scopes.filter((scope) => !NEEDED_SCOPES.includes(scope));
+  if (extra.length > 0) {
+    warnings.push(`The token also grants ${extra.join(", ")}, which this app does not need.`);
+  }
+  if (scopes.includes("repo")) {
+    warnings.push(
+      "The repo scope gives write access to all of your repositories. A fine-grained token limited to this repository with Contents: read and write is enough."
+    );
+  }
+  if (!scopes.some((scope) => NEEDED_SCOPES.includes(scope))) {
+    warnings.push("The token has neither the repo nor the public_repo scope, so syncing will fail.");
+  }
+  return warnings;
+}
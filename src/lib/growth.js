@@ -0,0 +1,49 @@
+import { parseISO } from "date-fns";
+import biometryReference from "../data/biometry-reference.json";
+import { getGestationalAge } from "./pregnancy.js";
+
+export const growthMetrics = Object.entries(biometryReference).map(([key, reference]) => ({
+  key,
+  label: reference.label,
+  unit: reference.unit,
+  source: reference.source,
+}));
+
+export function interpolateReference(rows, gaWeeks) {
+  if (!rows.length || gaWeeks < rows[0].week || gaWeeks > rows[rows.length - 1].week) {
+    return null;
+  }
+  const upperIndex = rows.findIndex((row) => row.week >= gaWeeks);
+  const upper = rows[upperIndex];
+  if (upper.week === gaWeeks || upperIndex === 0) return upper;
+  const lower = rows[upperIndex - 1];
+  const ratio = (gaWeeks - lower.week) / (upper.week - lower.week);
+  const lerp = (key) => lower[key] + (upper[key] - lower[key]) * ratio;
+  return { week: gaWeeks, p10: lerp("p10"), p50: lerp("p50"), p90: lerp("p90") };
+}
+
+export function getReferenceRows(metricKey) {
+  return biometryReference[metricKey]?.rows || [];
+}
+
+export function buildGrowthSeries(reports, dating, metricKey) {
+  const rows = getReferenceRows(metricKey);
+  return reports
+    .filter((report) => report.measurements[metricKey] !== "")
+    .map((report) => {
+      const age = getGestationalAge(dating, parseISO(report.date));
+      if (!age) return null;
+      const gaWeeks = age.totalDays / 7;
+      const value = Number(report.measurements[metricKey]);
+      const reference = interpolateReference(rows, gaWeeks);
+      const flag = !reference
+        ? null
+        : value < reference.p10
+        ? "low"
+        : value > reference.p90
+        ? "high"
+        : null;
+      return { reportId: report.id, date: report.date, title: report.title, age, gaWeeks, value, reference, flag };
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,43 @@
+import { eventSignature } from "./data.js";
+import { buildMergePreview } from "./merge.js";
+
+// Past versions of the data come from the commits that touched the data file. Both the plain
+// JSON and the encrypted envelope are listed, so history survives switching passphrase mode.
+export async function listDataCommits(github, paths) {
+  const lists = await Promise.all(paths.map((path) => github.listCommits(path)));
+  const bySha = new Map(lists.flat().map((commit) => [commit.sha, commit]));
+  return [...bySha.values()].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// Rows in the merge preview shape, going from `compare` to `version`: "added" means only the
+// version has the record, "removed" that only `compare` has it. Restoring a row with
+// `choice: "remote"` puts the version's record (or its absence) into the working copy.
+export function diffVersions(version, compare) {
+  return buildMergePreview(compare, compare, {
+    ...version,
+    events: matchEventIds(version.events, compare.events),
+  });
+}
+
+// Events saved before they had ids were given new ones when first loaded, so an old version's
+// event with an unknown id takes the id of an unmatched event with the same date, type and title.
+function matchEventIds(events, known) {
+  const ids = new Set(events.map((eventItem) => eventItem.id));
+  const knownIds = new Set(known.map((eventItem) => eventItem.id));
+  const unmatched = new Map();
+  known
+    .filter((eventItem) => !ids.has(eventItem.id))
+    .forEach((eventItem) => {
+      const signature = eventSignature(eventItem);
+      unmatched.set(signature, [...(unmatched.get(signature) || []), eventItem.id]);
+    });
+  return events.map((eventItem) => {
+    if (knownIds.has(eventItem.id)) return eventItem;
+    const candidates = unmatched.get(eventSignature(eventItem));
+    return candidates?.length ? { ...eventItem, id: candidates.shift() } : eventItem;
+  });
+}
+
+export function firstLine(message) {
+  return message.split("\n")[0];
+}
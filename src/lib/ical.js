@@ -0,0 +1,199 @@
+import { addDays, format, isValid, parseISO } from "date-fns";
+import { eventSignature, normalizeEvent } from "./data.js";
+import { createStableIds } from "./ids.js";
+
+const UID_DOMAIN = "preg-dashboard";
+const MAX_LINE_OCTETS = 75;
+
+export const alarmOptions = [
+  { value: "-P7D", label: "1 week before" },
+  { value: "-P1D", label: "1 day before" },
+  { value: "PT9H", label: "9:00 on the day" },
+];
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char === "n" || char === "N" ? "\n" : char));
+}
+
+// RFC 5545 §3.1: lines longer than 75 octets are folded with CRLF + a single space.
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let limit = MAX_LINE_OCTETS;
+  for (const char of line) {
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = "";
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function toIcsDate(dateKey) {
+  return dateKey.replace(/-/g, "");
+}
+
+function toUid(id) {
+  return id.includes("@") ? id : `${id}@${UID_DOMAIN}`;
+}
+
+function fromUid(uid) {
+  const suffix = `@${UID_DOMAIN}`;
+  return uid.endsWith(suffix) ? uid.slice(0, -suffix.length) : uid;
+}
+
+export function buildCalendar(events, { alarms = [], now = new Date() } = {}) {
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Preg-Dashboard//Pregnancy Planner//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+
+  events.forEach((eventItem) => {
+    const start = parseISO(eventItem.date);
+    if (!isValid(start)) return;
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${toUid(eventItem.id)}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(eventItem.date)}`,
+      `DTEND;VALUE=DATE:${format(addDays(start, 1), "yyyyMMdd")}`,
+      `SUMMARY:${escapeText(eventItem.title)}`
+    );
+    if (eventItem.type) lines.push(`CATEGORIES:${escapeText(eventItem.type)}`);
+    if (eventItem.notes) lines.push(`DESCRIPTION:${escapeText(eventItem.notes)}`);
+    alarms.forEach((trigger) => {
+      lines.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `TRIGGER;RELATED=START:${trigger}`,
+        `DESCRIPTION:${escapeText(eventItem.title)}`,
+        "END:VALARM"
+      );
+    });
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+function unfoldLines(text) {
+  return text.replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+}
+
+function parseContentLine(line) {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon === -1) return null;
+  const [name, ...params] = line.slice(0, colon).split(";");
+  return {
+    name: name.toUpperCase(),
+    params: params.reduce((acc, param) => {
+      const [key, value = ""] = param.split("=");
+      acc[key.toUpperCase()] = value.replace(/^"|"$/g, "");
+      return acc;
+    }, {}),
+    value: line.slice(colon + 1),
+  };
+}
+
+function parseIcsDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return "";
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (utc) {
+    const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    return format(date, "yyyy-MM-dd");
+  }
+  return `${year}-${month}-${day}`;
+}
+
+export function parseCalendar(text) {
+  const events = [];
+  let current = null;
+  let depth = 0;
+
+  unfoldLines(text).forEach((line) => {
+    const property = parseContentLine(line);
+    if (!property) return;
+    const value = property.value.trim();
+
+    if (property.name === "BEGIN") {
+      if (value.toUpperCase() === "VEVENT") current = {};
+      else if (current) depth += 1;
+      return;
+    }
+    if (property.name === "END") {
+      if (current && depth > 0) depth -= 1;
+      else if (current && value.toUpperCase() === "VEVENT") {
+        events.push(current);
+        current = null;
+      }
+      return;
+    }
+    if (!current || depth > 0) return;
+
+    switch (property.name) {
+      case "UID":
+        current.id = fromUid(value);
+        break;
+      case "DTSTART":
+        current.date = parseIcsDate(value);
+        break;
+      case "SUMMARY":
+        current.title = unescapeText(value);
+        break;
+      case "CATEGORIES":
+        current.type = unescapeText(value.split(/(?<!\\),/)[0]);
+        break;
+      case "DESCRIPTION":
+        current.notes = unescapeText(value);
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Without a UID the id comes from DTSTART and SUMMARY, so importing the same file again
+  // updates those events instead of adding them a second time.
+  const idFor = createStableIds("ics");
+  return events
+    .map((raw) => {
+      const eventItem = normalizeEvent(raw);
+      return raw.id ? eventItem : { ...eventItem, id: idFor(`${eventItem.date}|${eventItem.title}`) };
+    })
+    .filter((eventItem) => eventItem.date && eventItem.title);
+}
+
+// Imported events replace existing ones with the same id, or failing that the same date, type
+// and title (the existing id is kept); the rest are added.
+export function mergeImportedEvents(existing, imported) {
+  const byId = new Map(existing.map((eventItem) => [eventItem.id, eventItem]));
+  const idsBySignature = new Map(existing.map((eventItem) => [eventSignature(eventItem), eventItem.id]));
+  let added = 0;
+  let updated = 0;
+  imported.forEach((importedEvent) => {
+    const id = byId.has(importedEvent.id)
+      ? importedEvent.id
+      : idsBySignature.get(eventSignature(importedEvent)) || importedEvent.id;
+    if (byId.has(id)) updated += 1;
+    else added += 1;
+    byId.set(id, { ...importedEvent, id });
+  });
+  return { events: [...byId.values()], added, updated };
+}
@@ -0,0 +1,29 @@
+export function createId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `id-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// The same text always gives the same id (two 32-bit FNV-1a passes), for records that arrive
+// without an id of their own and must be recognised when the same file is read again.
+export function stableId(prefix, text) {
+  const hashes = [0x811c9dc5, 0x01000193].map((seed) => {
+    let hash = seed;
+    for (const char of text) {
+      hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, "0");
+  });
+  return `${prefix}-${hashes.join("")}`;
+}
+
+// Ids for records without one, numbered when several share a key so each stays unique.
+export function createStableIds(prefix) {
+  const seen = new Map();
+  return (key) => {
+    const count = (seen.get(key) || 0) + 1;
+    seen.set(key, count);
+    return stableId(prefix, count === 1 ? key : `${key}#${count}`);
+  };
+}
@@ -0,0 +1,72 @@
+import { buildJsonBody } from "./data.js";
+import { applyMerge, buildMergePreview } from "./merge.js";
+
+const DB_NAME = "pregnancy-planner";
+const DB_VERSION = 1;
+const STORE = "drafts";
+const DRAFT_KEY = "current";
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.resolve(null);
+  }
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE);
+  };
+  return requestToPromise(request);
+}
+
+async function withStore(mode, action) {
+  const db = await openDatabase();
+  if (!db) return null;
+  try {
+    const store = db.transaction(STORE, mode).objectStore(STORE);
+    return await requestToPromise(action(store));
+  } finally {
+    db.close();
+  }
+}
+
+// A draft is the local working copy plus the synced version it was edited from:
+// { base, baseSha, data, savedAt }.
+export function loadDraft() {
+  return withStore("readonly", (store) => store.get(DRAFT_KEY)).then((draft) => draft || null);
+}
+
+export function saveDraft(draft) {
+  return withStore("readwrite", (store) =>
+    store.put({ ...draft, savedAt: new Date().toISOString() }, DRAFT_KEY)
+  );
+}
+
+export function clearDraft() {
+  return withStore("readwrite", (store) => store.delete(DRAFT_KEY));
+}
+
+// Local edits relative to the synced version, in the same row shape the merge preview uses.
+export function listPendingChanges(base, data) {
+  if (!base) return [];
+  return buildMergePreview(base, data, base);
+}
+
+// Replays the draft's edits on top of freshly loaded data. When the fetch fell back to the
+// deployed files, the draft's own base is newer than what was loaded, so it is kept as is.
+export function restoreDraft(draft, loaded) {
+  if (!draft?.base) return loaded;
+  if (!loaded.syncSha && draft.baseSha) {
+    return { ...loaded, data: draft.data, base: draft.base, syncSha: draft.baseSha };
+  }
+  if (buildJsonBody(draft.base) === buildJsonBody(loaded.data)) {
+    return { ...loaded, data: draft.data, base: loaded.data };
+  }
+  const rows = buildMergePreview(draft.base, draft.data, loaded.data);
+  return { ...loaded, data: applyMerge(draft.data, rows), base: loaded.data };
+}
@@ -0,0 +1,165 @@
+import { addDays, format, parseISO } from "date-fns";
+import { formatDateInput } from "./dates.js";
+import { createId } from "./ids.js";
+import { dateForGestationalWeek, getGestationalAge } from "./pregnancy.js";
+
+export const medicationSchedules = [
+  { value: "daily", label: "Once daily", perDay: 1 },
+  { value: "twice-daily", label: "Twice daily", perDay: 2 },
+  { value: "three-times-daily", label: "Three times daily", perDay: 3 },
+];
+
+export const medicationColumns = ["id", "name", "dose", "schedule", "startWeek", "endWeek", "notes"];
+
+// One row per medication and day; `taken` counts the doses checked off that day.
+export const doseColumns = ["id", "medicationId", "date", "taken"];
+
+function toWeekOrBlank(value) {
+  if (value === "" || value === null || value === undefined) return "";
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(0, Math.round(number)) : "";
+}
+
+export function normalizeMedication(raw) {
+  const schedule = String(raw.schedule ?? "").trim();
+  return {
+    id: String(raw.id ?? "").trim() || createId(),
+    name: String(raw.name ?? "").trim(),
+    dose: String(raw.dose ?? "").trim(),
+    schedule: medicationSchedules.some((item) => item.value === schedule) ? schedule : "daily",
+    startWeek: toWeekOrBlank(raw.startWeek),
+    endWeek: toWeekOrBlank(raw.endWeek),
+    notes: String(raw.notes ?? "").trim(),
+  };
+}
+
+export function sortMedications(medications) {
+  return [...medications].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// The id is derived from the medication and day so two devices checking off the same day
+// update one record instead of adding two.
+export function doseId(medicationId, date) {
+  return `${medicationId}-${date}`;
+}
+
+export function normalizeDose(raw) {
+  const medicationId = String(raw.medicationId ?? "").trim();
+  const date = formatDateInput(raw.date);
+  const taken = Number(raw.taken);
+  return {
+    id: String(raw.id ?? "").trim() || doseId(medicationId, date),
+    medicationId,
+    date,
+    taken: Number.isFinite(taken) ? Math.max(0, Math.round(taken)) : 0,
+  };
+}
+
+export function sortDoses(doses) {
+  return [...doses].sort(
+    (a, b) => a.date.localeCompare(b.date) || a.medicationId.localeCompare(b.medicationId)
+  );
+}
+
+export function dosesPerDay(medication) {
+  return medicationSchedules.find((item) => item.value === medication.schedule)?.perDay || 1;
+}
+
+export function formatWeekRange(medication) {
+  if (medication.startWeek === "" && medication.endWeek === "") return "Whole pregnancy";
+  if (medication.endWeek === "") return `From week ${medication.startWeek}`;
+  if (medication.startWeek === "") return `Until week ${medication.endWeek}`;
+  return `Weeks ${medication.startWeek}–${medication.endWeek}`;
+}
+
+// Without dating only medications with no week range are considered active.
+function isActiveOn(medication, dating, dateKey) {
+  if (medication.startWeek === "" && medication.endWeek === "") return true;
+  const age = getGestationalAge(dating, parseISO(dateKey));
+  if (!age) return false;
+  return (
+    (medication.startWeek === "" || age.weeks >= medication.startWeek) &&
+    (medication.endWeek === "" || age.weeks <= medication.endWeek)
+  );
+}
+
+function indexDoses(doses) {
+  return new Map(doses.map((dose) => [doseId(dose.medicationId, dose.date), dose.taken]));
+}
+
+// Days before a medication's first check-off are not counted as missed: there is no record of
+// when tracking started, and back-filling weeks of misses would drown the calendar.
+function trackingStarts(doses) {
+  return doses.reduce((acc, dose) => {
+    if (dose.taken > 0 && (!acc.has(dose.medicationId) || dose.date < acc.get(dose.medicationId))) {
+      acc.set(dose.medicationId, dose.date);
+    }
+    return acc;
+  }, new Map());
+}
+
+export function buildDayChecklist(medications, doses, dating, dateKey) {
+  const taken = indexDoses(doses);
+  return medications
+    .filter((medication) => isActiveOn(medication, dating, dateKey))
+    .map((medication) => ({
+      medication,
+      expected: dosesPerDay(medication),
+      taken: taken.get(doseId(medication.id, dateKey)) || 0,
+    }));
+}
+
+function countDay(medications, taken, starts, dating, dateKey) {
+  return medications
+    .filter((medication) => starts.has(medication.id) && dateKey >= starts.get(medication.id))
+    .filter((medication) => isActiveOn(medication, dating, dateKey))
+    .reduce(
+      (acc, medication) => {
+        const expected = dosesPerDay(medication);
+        acc.expected += expected;
+        acc.taken += Math.min(taken.get(doseId(medication.id, dateKey)) || 0, expected);
+        return acc;
+      },
+      { expected: 0, taken: 0 }
+    );
+}
+
+// Missed dose counts for the given days, keyed by date. Today and later are never missed.
+export function buildMissedDoses(medications, doses, dating, dateKeys, todayKey) {
+  const taken = indexDoses(doses);
+  const starts = trackingStarts(doses);
+  return dateKeys.reduce((acc, dateKey) => {
+    if (dateKey >= todayKey) return acc;
+    const day = countDay(medications, taken, starts, dating, dateKey);
+    if (day.taken < day.expected) acc[dateKey] = day.expected - day.taken;
+    return acc;
+  }, {});
+}
+
+// Doses taken against doses due for each of the last `count` gestational weeks, up to today.
+export function buildWeeklyAdherence(medications, doses, dating, todayKey, count = 6) {
+  const age = getGestationalAge(dating, parseISO(todayKey));
+  if (!age) return [];
+  const taken = indexDoses(doses);
+  const starts = trackingStarts(doses);
+  const weeks = [];
+  for (let week = Math.max(0, age.weeks - count + 1); week <= age.weeks; week += 1) {
+    const start = dateForGestationalWeek(dating, week);
+    const totals = { week, expected: 0, taken: 0 };
+    for (let offset = 0; offset < 7; offset += 1) {
+      const dateKey = format(addDays(start, offset), "yyyy-MM-dd");
+      if (dateKey > todayKey) break;
+      const day = countDay(medications, taken, starts, dating, dateKey);
+      totals.expected += day.expected;
+      totals.taken += day.taken;
+    }
+    weeks.push({ ...totals, rate: totals.expected ? totals.taken / totals.expected : null });
+  }
+  return weeks;
+}
+
+// Sets the number of doses taken on a day; a count of zero removes the record.
+export function setDosesTaken(doses, medicationId, date, taken) {
+  const others = doses.filter((dose) => dose.medicationId !== medicationId || dose.date !== date);
+  return sortDoses(taken > 0 ? [...others, normalizeDose({ medicationId, date, taken })] : others);
+}
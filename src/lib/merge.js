@@ -0,0 +1,167 @@
+import { sortEvents } from "./data.js";
+import { sortDoses, sortMedications } from "./medications.js";
+import { formatKickSession, formatSeconds, sortContractions, sortKickSessions } from "./monitoring.js";
+import { sortReports } from "./reports.js";
+import { sortVitals } from "./vitals.js";
+
+const PROFILE_ID = "profile";
+
+export const mergeCollections = [
+  {
+    key: "events",
+    label: "Event",
+    describe: (record) => `${record.date} · ${record.title}`,
+    sort: sortEvents,
+  },
+  {
+    key: "reports",
+    label: "Report",
+    describe: (record) => `${record.date} · ${record.title}`,
+    sort: sortReports,
+  },
+  {
+    key: "vitals",
+    label: "Vitals",
+    describe: (record) => `${record.date} reading`,
+    sort: sortVitals,
+  },
+  {
+    key: "medications",
+    label: "Medication",
+    describe: (record) => [record.name, record.dose].filter(Boolean).join(" · "),
+    sort: sortMedications,
+  },
+  {
+    key: "doses",
+    label: "Doses",
+    describe: (record) => `${record.date} · ${record.taken} taken`,
+    sort: sortDoses,
+  },
+  {
+    key: "kickSessions",
+    label: "Kick count",
+    describe: (record) => `${record.date} · ${formatKickSession(record)}`,
+    sort: sortKickSessions,
+  },
+  {
+    key: "contractions",
+    label: "Contraction",
+    describe: (record) => `${record.date} · lasted ${formatSeconds(record.durationSec)}`,
+    sort: sortContractions,
+  },
+];
+
+function recordsEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function indexById(records = []) {
+  return new Map(records.map((record) => [record.id, record]));
+}
+
+function describeChange(base, next) {
+  if (!base && next) return "added";
+  if (base && !next) return "removed";
+  return "changed";
+}
+
+export function diffRecords(baseRecords, localRecords, remoteRecords) {
+  const base = indexById(baseRecords);
+  const local = indexById(localRecords);
+  const remote = indexById(remoteRecords);
+  const ids = new Set([...base.keys(), ...local.keys(), ...remote.keys()]);
+  const rows = [];
+
+  ids.forEach((id) => {
+    const baseRecord = base.get(id);
+    const localRecord = local.get(id);
+    const remoteRecord = remote.get(id);
+    const localChanged = !recordsEqual(baseRecord, localRecord);
+    const remoteChanged = !recordsEqual(baseRecord, remoteRecord);
+    if (!localChanged && !remoteChanged) return;
+    if (localChanged && remoteChanged && recordsEqual(localRecord, remoteRecord)) return;
+
+    const side = localChanged && remoteChanged ? "both" : localChanged ? "local" : "remote";
+    rows.push({
+      id,
+      side,
+      change:
+        side === "both"
+          ? "conflict"
+          : describeChange(baseRecord, side === "local" ? localRecord : remoteRecord),
+      base: baseRecord,
+      local: localRecord,
+      remote: remoteRecord,
+      choice: side === "remote" ? "remote" : "local",
+    });
+  });
+
+  return rows;
+}
+
+export function changedFields(a, b) {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  return [...keys].filter((key) => key !== "id" && !recordsEqual(a?.[key], b?.[key]));
+}
+
+export function buildMergePreview(baseData, localData, remoteData) {
+  const rows = mergeCollections.flatMap((collection) =>
+    diffRecords(baseData[collection.key], localData[collection.key], remoteData[collection.key]).map(
+      (row) => ({
+        ...row,
+        key: `${collection.key}:${row.id}`,
+        collection: collection.key,
+        label: collection.label,
+        description: collection.describe(row.local || row.remote || row.base),
+      })
+    )
+  );
+
+  const profileRows = diffRecords(
+    [{ id: PROFILE_ID, ...baseData.profile }],
+    [{ id: PROFILE_ID, ...localData.profile }],
+    [{ id: PROFILE_ID, ...remoteData.profile }]
+  ).map((row) => ({
+    ...row,
+    key: "profile",
+    collection: "profile",
+    label: "Profile",
+    description: "Pregnancy profile",
+  }));
+
+  return [...profileRows, ...rows];
+}
+
+// Two-way comparison of the same data read from two files: records found in only one file come
+// back as "added" on that side, and records present in both but different as conflicts.
+export function compareSources(localData, remoteData) {
+  const emptyData = { profile: {} };
+  mergeCollections.forEach((collection) => {
+    emptyData[collection.key] = [];
+  });
+  return buildMergePreview(emptyData, localData, remoteData);
+}
+
+export function applyMerge(localData, rows) {
+  const merged = { ...localData };
+
+  mergeCollections.forEach((collection) => {
+    const records = indexById(localData[collection.key]);
+    rows
+      .filter((row) => row.collection === collection.key)
+      .forEach((row) => {
+        const chosen = row.choice === "remote" ? row.remote : row.local;
+        if (chosen) records.set(row.id, chosen);
+        else records.delete(row.id);
+      });
+    merged[collection.key] = collection.sort([...records.values()]);
+  });
+
+  const profileRow = rows.find((row) => row.collection === "profile");
+  if (profileRow?.choice === "remote") {
+    const { id: _id, ...profile } = profileRow.remote;
+    merged.profile = profile;
+  }
+
+  return merged;
+}
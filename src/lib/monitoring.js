@@ -0,0 +1,200 @@
+import { differenceInSeconds, format, isValid, parseISO } from "date-fns";
+import { formatDateInput } from "./dates.js";
+import { createId } from "./ids.js";
+import { getGestationalAge } from "./pregnancy.js";
+
+// Third-trimester tools: kick counting sessions and timed contractions. Both are stored as
+// records with their start date and the gestational week they were logged in.
+
+export const KICK_GOAL = 10;
+
+export const kickColumns = ["id", "date", "gaWeek", "startedAt", "endedAt", "kicks", "minutesToGoal"];
+
+export const contractionColumns = [
+  "id",
+  "date",
+  "gaWeek",
+  "startedAt",
+  "endedAt",
+  "durationSec",
+  "intervalSec",
+];
+
+// Contractions further apart than this start a new series, so the first one has no interval.
+const SERIES_GAP_SEC = 2 * 60 * 60;
+
+// 5-1-1: contractions at most 5 minutes apart, each lasting at least 1 minute, for at least 1 hour.
+const RULE_INTERVAL_SEC = 5 * 60;
+const RULE_DURATION_SEC = 60;
+const RULE_SPAN_SEC = 60 * 60;
+
+const ACTIVE_KEYS = {
+  kicks: "pregnancy-planner-active-kicks",
+  contraction: "pregnancy-planner-active-contraction",
+};
+
+function toNumberOrBlank(value) {
+  if (value === "" || value === null || value === undefined) return "";
+  const number = Number(value);
+  return Number.isFinite(number) ? number : "";
+}
+
+function toTimestamp(value) {
+  const date = value instanceof Date ? value : parseISO(String(value ?? "").trim());
+  return isValid(date) ? date.toISOString() : "";
+}
+
+function weekOf(dating, date) {
+  return getGestationalAge(dating, date)?.weeks ?? "";
+}
+
+export function normalizeKickSession(raw) {
+  return {
+    id: String(raw.id ?? "").trim() || createId(),
+    date: formatDateInput(raw.date),
+    gaWeek: toNumberOrBlank(raw.gaWeek),
+    startedAt: toTimestamp(raw.startedAt),
+    endedAt: toTimestamp(raw.endedAt),
+    kicks: toNumberOrBlank(raw.kicks) || 0,
+    minutesToGoal: toNumberOrBlank(raw.minutesToGoal),
+  };
+}
+
+export function normalizeContraction(raw) {
+  return {
+    id: String(raw.id ?? "").trim() || createId(),
+    date: formatDateInput(raw.date),
+    gaWeek: toNumberOrBlank(raw.gaWeek),
+    startedAt: toTimestamp(raw.startedAt),
+    endedAt: toTimestamp(raw.endedAt),
+    durationSec: toNumberOrBlank(raw.durationSec),
+    intervalSec: toNumberOrBlank(raw.intervalSec),
+  };
+}
+
+function byStart(a, b) {
+  return a.date.localeCompare(b.date) || a.startedAt.localeCompare(b.startedAt);
+}
+
+export function sortKickSessions(sessions) {
+  return [...sessions].sort(byStart);
+}
+
+export function sortContractions(contractions) {
+  return [...contractions].sort(byStart);
+}
+
+// The session or contraction in progress survives a reload; it only becomes a record once ended.
+export function loadActive(kind) {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVE_KEYS[kind])) || null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveActive(kind, value) {
+  if (value) localStorage.setItem(ACTIVE_KEYS[kind], JSON.stringify(value));
+  else localStorage.removeItem(ACTIVE_KEYS[kind]);
+}
+
+export function finishKickSession(active, dating, now = new Date()) {
+  const started = parseISO(active.startedAt);
+  const goalAt = active.kicks[KICK_GOAL - 1];
+  return normalizeKickSession({
+    date: format(started, "yyyy-MM-dd"),
+    gaWeek: weekOf(dating, started),
+    startedAt: active.startedAt,
+    endedAt: now,
+    kicks: active.kicks.length,
+    minutesToGoal: goalAt ? Math.round(differenceInSeconds(parseISO(goalAt), started) / 60) : "",
+  });
+}
+
+export function finishContraction(startedAt, previous, dating, now = new Date()) {
+  const started = parseISO(startedAt);
+  const interval = previous ? differenceInSeconds(started, parseISO(previous.startedAt)) : null;
+  return normalizeContraction({
+    date: format(started, "yyyy-MM-dd"),
+    gaWeek: weekOf(dating, started),
+    startedAt,
+    endedAt: now,
+    durationSec: differenceInSeconds(now, started),
+    intervalSec: interval !== null && interval <= SERIES_GAP_SEC ? interval : "",
+  });
+}
+
+// The contractions since the last gap of more than two hours, oldest first.
+export function currentSeries(contractions) {
+  const sorted = sortContractions(contractions);
+  let start = sorted.length - 1;
+  while (start > 0 && sorted[start].intervalSec !== "") start -= 1;
+  return sorted.slice(Math.max(start, 0));
+}
+
+// True once the latest run of contractions has followed 5-1-1 for a full hour.
+export function meetsFiveOneOne(series) {
+  const last = series[series.length - 1];
+  if (!last || last.durationSec < RULE_DURATION_SEC) return false;
+  let first = series.length - 1;
+  while (
+    first > 0 &&
+    series[first].intervalSec !== "" &&
+    series[first].intervalSec <= RULE_INTERVAL_SEC &&
+    series[first - 1].durationSec >= RULE_DURATION_SEC
+  ) {
+    first -= 1;
+  }
+  return differenceInSeconds(parseISO(last.endedAt), parseISO(series[first].startedAt)) >= RULE_SPAN_SEC;
+}
+
+function average(values) {
+  const numbers = values.filter((value) => value !== "");
+  return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+}
+
+export function formatSeconds(seconds) {
+  if (seconds === null || seconds === "") return "–";
+  const rounded = Math.round(seconds);
+  const minutes = Math.floor(rounded / 60);
+  return minutes ? `${minutes}m ${String(rounded % 60).padStart(2, "0")}s` : `${rounded}s`;
+}
+
+export function summarizeContractions(contractions) {
+  return {
+    count: contractions.length,
+    averageDuration: average(contractions.map((item) => item.durationSec)),
+    averageInterval: average(contractions.map((item) => item.intervalSec)),
+  };
+}
+
+export function formatKickSession(session) {
+  if (session.minutesToGoal !== "") return `${KICK_GOAL} kicks in ${session.minutesToGoal} min`;
+  const seconds = differenceInSeconds(parseISO(session.endedAt), parseISO(session.startedAt));
+  const minutes = Math.round(seconds / 60);
+  return `${session.kicks} kicks in ${minutes} min (stopped)`;
+}
+
+// Per-day summaries for the calendar: kick sessions and contraction stats keyed by date.
+export function buildMonitoringByDate(kickSessions, contractions) {
+  const days = {};
+  const dayFor = (date) => {
+    if (!days[date]) days[date] = { kickSessions: [], contractions: [] };
+    return days[date];
+  };
+  kickSessions.forEach((session) => dayFor(session.date).kickSessions.push(session));
+  contractions.forEach((contraction) => dayFor(contraction.date).contractions.push(contraction));
+  return Object.fromEntries(
+    Object.entries(days).map(([date, day]) => {
+      const parts = [];
+      const best = day.kickSessions
+        .filter((session) => session.minutesToGoal !== "")
+        .sort((a, b) => a.minutesToGoal - b.minutesToGoal)[0];
+      if (best) parts.push(`Kicks ${best.minutesToGoal}m`);
+      else if (day.kickSessions.length) parts.push(`Kicks ${day.kickSessions[0].kicks}`);
+      if (day.contractions.length) parts.push(`${day.contractions.length} ctx`);
+      const contractionStats = summarizeContractions(day.contractions);
+      return [date, { ...day, label: parts.join(" · "), contractionStats }];
+    })
+  );
+}
@@ -0,0 +1,180 @@
+import { addDays, differenceInCalendarDays, format, isValid, parseISO } from "date-fns";
+import { formatDateInput } from "./dates.js";
+
+const FULL_TERM_DAYS = 280;
+const STANDARD_CYCLE_DAYS = 28;
+
+export const defaultProfile = {
+  lmp: "",
+  cycleLength: 28,
+  datingMethod: "lmp",
+  scanDate: "",
+  scanCrlMm: "",
+  scanGaWeeks: "",
+  scanGaDays: "",
+  heightCm: "",
+  prePregnancyWeightKg: "",
+  bpSystolicMax: 140,
+  bpDiastolicMax: 90,
+  hbMin: 11,
+  fastingGlucoseMax: 95,
+  postMealGlucoseMax: 140,
+};
+
+export const datingMethods = [
+  { value: "lmp", label: "LMP (Naegele's rule)" },
+  { value: "ultrasound", label: "Ultrasound-corrected" },
+];
+
+function parseDateKey(value) {
+  if (!value) return null;
+  const parsed = parseISO(String(value));
+  return isValid(parsed) ? parsed : null;
+}
+
+function toNumberOrBlank(value) {
+  if (value === "" || value === null || value === undefined) return "";
+  const number = Number(value);
+  return Number.isFinite(number) ? number : "";
+}
+
+function toNumberOrDefault(value, fallback) {
+  const number = toNumberOrBlank(value);
+  return number === "" ? fallback : number;
+}
+
+export function normalizeProfile(raw = {}) {
+  const cycleLength = Number(raw.cycleLength);
+  return {
+    lmp: formatDateInput(raw.lmp),
+    cycleLength: Number.isFinite(cycleLength) && cycleLength > 0 ? cycleLength : STANDARD_CYCLE_DAYS,
+    datingMethod: raw.datingMethod === "ultrasound" ? "ultrasound" : "lmp",
+    scanDate: formatDateInput(raw.scanDate),
+    scanCrlMm: toNumberOrBlank(raw.scanCrlMm),
+    scanGaWeeks: toNumberOrBlank(raw.scanGaWeeks),
+    scanGaDays: toNumberOrBlank(raw.scanGaDays),
+    heightCm: toNumberOrBlank(raw.heightCm),
+    prePregnancyWeightKg: toNumberOrBlank(raw.prePregnancyWeightKg),
+    bpSystolicMax: toNumberOrDefault(raw.bpSystolicMax, defaultProfile.bpSystolicMax),
+    bpDiastolicMax: toNumberOrDefault(raw.bpDiastolicMax, defaultProfile.bpDiastolicMax),
+    hbMin: toNumberOrDefault(raw.hbMin, defaultProfile.hbMin),
+    fastingGlucoseMax: toNumberOrDefault(raw.fastingGlucoseMax, defaultProfile.fastingGlucoseMax),
+    postMealGlucoseMax: toNumberOrDefault(raw.postMealGlucoseMax, defaultProfile.postMealGlucoseMax),
+  };
+}
+
+// Robinson & Fleming (1975): GA in days from crown-rump length in mm.
+export function gestationalDaysFromCrl(crlMm) {
+  const crl = Number(crlMm);
+  if (crlMm === "" || !Number.isFinite(crl) || crl <= 0) return null;
+  return Math.round(8.052 * Math.sqrt(crl) + 23.73);
+}
+
+export function getScanGestationalDays(profile) {
+  const fromCrl = gestationalDaysFromCrl(profile.scanCrlMm);
+  if (fromCrl !== null) return fromCrl;
+  if (profile.scanGaWeeks === "") return null;
+  return Number(profile.scanGaWeeks) * 7 + (Number(profile.scanGaDays) || 0);
+}
+
+export function getDating(profile) {
+  const lmp = parseDateKey(profile.lmp);
+  const cycleLength = Number(profile.cycleLength) || STANDARD_CYCLE_DAYS;
+  const naegeleStart = lmp ? addDays(lmp, cycleLength - STANDARD_CYCLE_DAYS) : null;
+
+  const scanDate = parseDateKey(profile.scanDate);
+  const scanGaDays = scanDate ? getScanGestationalDays(profile) : null;
+  const correctedStart = scanGaDays !== null ? addDays(scanDate, -scanGaDays) : null;
+
+  const useCorrected = Boolean(correctedStart) && (profile.datingMethod === "ultrasound" || !naegeleStart);
+  const datingStart = useCorrected ? correctedStart : naegeleStart;
+  if (!datingStart) return null;
+
+  return {
+    method: useCorrected ? "ultrasound" : "lmp",
+    lmp,
+    datingStart,
+    edd: addDays(datingStart, FULL_TERM_DAYS),
+    naegeleEdd: naegeleStart ? addDays(naegeleStart, FULL_TERM_DAYS) : null,
+    correctedEdd: correctedStart ? addDays(correctedStart, FULL_TERM_DAYS) : null,
+    scanGaDays,
+  };
+}
+
+export function getGestationalAge(dating, date) {
+  if (!dating) return null;
+  const totalDays = differenceInCalendarDays(date, dating.datingStart);
+  if (totalDays < 0) return null;
+  return {
+    totalDays,
+    weeks: Math.floor(totalDays / 7),
+    days: totalDays % 7,
+  };
+}
+
+export function formatGestationalAge(age) {
+  if (!age) return "-";
+  return `${age.weeks}w${age.days}d`;
+}
+
+export function getTrimester(weekNumber) {
+  if (weekNumber <= 0) return "-";
+  if (weekNumber <= 12) return "1st Trimester";
+  if (weekNumber <= 27) return "2nd Trimester";
+  return "3rd Trimester";
+}
+
+export function getPregnancyMonth(weekNumber) {
+  return weekNumber <= 0 ? "-" : Math.ceil(weekNumber / 4);
+}
+
+export function dateForGestationalWeek(dating, week) {
+  return addDays(dating.datingStart, week * 7);
+}
+
+export function getPregnancyProgress(dating, today = new Date()) {
+  const todayKey = format(today, "yyyy-MM-dd");
+  if (!dating) {
+    return {
+      weekNumber: 0,
+      dayOfWeek: 0,
+      trimester: "-",
+      pregnancyMonth: "-",
+      range: "",
+      weekStart: null,
+      weekEnd: null,
+      edd: null,
+      todayKey,
+    };
+  }
+
+  const age = getGestationalAge(dating, today);
+  const weekNumber = age ? age.weeks : 0;
+  const dayOfWeek = age ? age.days : 0;
+  const weekStart = dateForGestationalWeek(dating, weekNumber);
+  const weekEnd = addDays(weekStart, 6);
+
+  return {
+    weekNumber,
+    dayOfWeek,
+    trimester: getTrimester(weekNumber),
+    pregnancyMonth: getPregnancyMonth(weekNumber),
+    range: `${format(weekStart, "MMM d, yyyy")} - ${format(weekEnd, "MMM d, yyyy")}`,
+    weekStart,
+    weekEnd,
+    edd: dating.edd,
+    todayKey,
+  };
+}
+
+export function buildDatingMilestones(dating) {
+  if (!dating) {
+    return ["Add an LMP or dating scan to the pregnancy profile to see milestones."];
+  }
+  const at = (week) => dateForGestationalWeek(dating, week);
+  return [
+    `Current EDD: ${format(dating.edd, "d MMMM yyyy")}`,
+    `End of 1st Trimester: ${format(at(13), "MMM d, yyyy")}`,
+    `Delivery Window: 38–40 weeks (${format(at(38), "MMM d")} to ${format(at(40), "MMM d, yyyy")})`,
+  ];
+}
@@ -0,0 +1,116 @@
+import { format, parseISO } from "date-fns";
+import { eventCategories, getEventCategory } from "./eventTypes.js";
+
+const SETTINGS_KEY = "pregnancy-planner-reminders";
+const SHOWN_KEY = "pregnancy-planner-reminders-shown";
+const SHOWN_LIMIT = 200;
+
+// Events only carry a date, so reminders are timed against this hour on the day.
+export const EVENT_START_HOUR = 9;
+
+// A reminder missed while the app was closed is still shown if it is at most this late.
+const GRACE_MS = 12 * 60 * 60 * 1000;
+
+export const leadTimes = [
+  { key: "2h", label: "2 hours before", minutes: 2 * 60 },
+  { key: "1d", label: "1 day before", minutes: 24 * 60 },
+  { key: "2d", label: "2 days before", minutes: 2 * 24 * 60 },
+  { key: "1w", label: "1 week before", minutes: 7 * 24 * 60 },
+];
+
+const leadTimesByKey = new Map(leadTimes.map((lead) => [lead.key, lead]));
+
+export const defaultReminderSettings = {
+  enabled: false,
+  leadTimes: Object.fromEntries(eventCategories.map((category) => [category.key, category.reminders])),
+};
+
+export function loadReminderSettings() {
+  const saved = localStorage.getItem(SETTINGS_KEY);
+  if (!saved) return defaultReminderSettings;
+  try {
+    const parsed = JSON.parse(saved);
+    return {
+      ...defaultReminderSettings,
+      ...parsed,
+      leadTimes: { ...defaultReminderSettings.leadTimes, ...parsed.leadTimes },
+    };
+  } catch (error) {
+    console.error("Unable to parse reminder settings", error);
+    return defaultReminderSettings;
+  }
+}
+
+export function saveReminderSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+export function notificationPermission() {
+  return typeof Notification === "undefined" ? "unsupported" : Notification.permission;
+}
+
+function eventStart(event) {
+  const start = parseISO(event.date);
+  start.setHours(EVENT_START_HOUR, 0, 0, 0);
+  return start;
+}
+
+// Reminders for events that have not started yet, soonest first. Each one has a stable key so
+// it is only shown once, even across reloads.
+export function buildReminders(events, settings, now = new Date()) {
+  return events
+    .filter((event) => event.date)
+    .flatMap((event) => {
+      const start = eventStart(event);
+      if (start <= now) return [];
+      const keys = settings.leadTimes[event.category] ?? getEventCategory(event.category).reminders;
+      return keys
+        .map((key) => leadTimesByKey.get(key))
+        .filter(Boolean)
+        .map((lead) => ({
+          key: `${event.id}|${event.date}|${lead.key}`,
+          at: new Date(start.getTime() - lead.minutes * 60 * 1000),
+          lead,
+          event,
+        }));
+    })
+    .filter((reminder) => reminder.at.getTime() > now.getTime() - GRACE_MS)
+    .sort((a, b) => a.at - b.at);
+}
+
+function loadShownKeys() {
+  try {
+    return JSON.parse(localStorage.getItem(SHOWN_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+// Returns the reminders that are due and have not been shown, and records them as shown.
+export function takeDueReminders(reminders, now = new Date()) {
+  const shown = loadShownKeys();
+  const due = reminders.filter((reminder) => reminder.at <= now && !shown.includes(reminder.key));
+  if (due.length > 0) {
+    const updated = [...shown, ...due.map((reminder) => reminder.key)].slice(-SHOWN_LIMIT);
+    localStorage.setItem(SHOWN_KEY, JSON.stringify(updated));
+  }
+  return due;
+}
+
+// Goes through the service worker when there is one: mobile browsers only allow notifications
+// from a registration, not from the page.
+export async function showReminder(reminder, icon) {
+  const { event, lead } = reminder;
+  const title = event.title;
+  const options = {
+    body: `${format(parseISO(event.date), "EEEE, MMM d")} · ${lead.label}${event.notes ? `\n${event.notes}` : ""}`,
+    tag: reminder.key,
+    icon,
+  };
+  const registration = await navigator.serviceWorker?.getRegistration();
+  if (registration) {
+    await registration.showNotification(title, options);
+  } else {
+    new Notification(title, options);
+  }
+}
@@ -0,0 +1,81 @@
+import { formatDateInput } from "./dates.js";
+import { createId } from "./ids.js";
+
+export const measurementFields = [
+  { key: "crlMm", label: "CRL", unit: "mm", type: "number" },
+  { key: "ntMm", label: "NT", unit: "mm", type: "number" },
+  { key: "fhrBpm", label: "Fetal HR", unit: "bpm", type: "number" },
+  { key: "bpdMm", label: "BPD", unit: "mm", type: "number" },
+  { key: "hcMm", label: "HC", unit: "mm", type: "number" },
+  { key: "acMm", label: "AC", unit: "mm", type: "number" },
+  { key: "flMm", label: "FL", unit: "mm", type: "number" },
+  { key: "efwG", label: "EFW", unit: "g", type: "number" },
+  { key: "placenta", label: "Placenta", unit: "", type: "text" },
+  { key: "liquor", label: "Liquor", unit: "", type: "text" },
+];
+
+export const reportColumns = [
+  "id",
+  "eventId",
+  "date",
+  "title",
+  ...measurementFields.map((field) => field.key),
+  "impressions",
+];
+
+export const emptyMeasurements = measurementFields.reduce((acc, field) => {
+  acc[field.key] = "";
+  return acc;
+}, {});
+
+function normalizeMeasurement(field, value) {
+  if (value === "" || value === null || value === undefined) return "";
+  if (field.type === "text") return String(value).trim();
+  const number = Number(value);
+  return Number.isFinite(number) ? number : "";
+}
+
+export function normalizeReport(raw) {
+  const source = raw.measurements || raw;
+  const measurements = measurementFields.reduce((acc, field) => {
+    acc[field.key] = normalizeMeasurement(field, source[field.key]);
+    return acc;
+  }, {});
+  return {
+    id: String(raw.id ?? "").trim() || createId(),
+    eventId: String(raw.eventId ?? "").trim(),
+    date: formatDateInput(raw.date),
+    title: String(raw.title ?? "").trim(),
+    measurements,
+    impressions: String(raw.impressions ?? "").trim(),
+  };
+}
+
+export function reportToRow(report) {
+  return {
+    id: report.id,
+    eventId: report.eventId,
+    date: report.date,
+    title: report.title,
+    ...report.measurements,
+    impressions: report.impressions,
+  };
+}
+
+export function sortReports(reports) {
+  return [...reports].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export function formatReportPoints(report) {
+  const measured = measurementFields
+    .filter((field) => report.measurements[field.key] !== "")
+    .map((field) => {
+      const value = report.measurements[field.key];
+      return `${field.label}: ${value}${field.unit ? ` ${field.unit}` : ""}`;
+    });
+  const impressions = report.impressions
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  return [...measured, ...impressions];
+}
@@ -0,0 +1,121 @@
+import { addDays, format, parseISO } from "date-fns";
+import { dateForGestationalWeek } from "./pregnancy.js";
+
+const BASE_URL = import.meta.env.BASE_URL || "/";
+export const SCHEDULE_RULES_JSON = `${BASE_URL}data/schedule-rules.json`;
+
+export async function fetchScheduleRules() {
+  const response = await fetch(SCHEDULE_RULES_JSON);
+  if (!response.ok) {
+    throw new Error("Unable to load schedule-rules.json");
+  }
+  const data = await response.json();
+  return Array.isArray(data?.rules) ? data.rules : [];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function matchesAny(text, keywords) {
+  if (!keywords?.length) return true;
+  const haystack = text.toLowerCase();
+  return keywords.some((keyword) =>
+    new RegExp(`\\b${escapeRegExp(keyword.toLowerCase())}\\b`).test(haystack)
+  );
+}
+
+function eventMatchesRule(eventItem, rule) {
+  const match = rule.match || {};
+  return (
+    matchesAny(eventItem.type, match.types) &&
+    matchesAny(`${eventItem.type} ${eventItem.title}`, match.keywords)
+  );
+}
+
+// Both ends are inclusive: a window runs from the first day of startWeek to the last day of endWeek
+// (e.g. 11–13w is 11w0d–13w6d), the same convention as medication weeks.
+function expandRule(rule, dating, resolved) {
+  if (rule.after) {
+    const anchorWindow = resolved.get(rule.after.rule);
+    if (!anchorWindow) return [];
+    const anchor = parseISO(anchorWindow.matchedDate || anchorWindow.start);
+    return [
+      {
+        key: rule.id,
+        start: addDays(anchor, rule.after.minWeeks * 7),
+        end: addDays(anchor, rule.after.maxWeeks * 7 - 1),
+      },
+    ];
+  }
+
+  const step = Number(rule.repeatEveryWeeks) || 0;
+  if (!step) {
+    return [
+      {
+        key: rule.id,
+        start: dateForGestationalWeek(dating, rule.startWeek),
+        end: addDays(dateForGestationalWeek(dating, rule.endWeek + 1), -1),
+      },
+    ];
+  }
+
+  const windows = [];
+  for (let week = rule.startWeek; week <= rule.endWeek; week += step) {
+    windows.push({
+      key: `${rule.id}-w${week}`,
+      week,
+      start: dateForGestationalWeek(dating, week),
+      end: addDays(dateForGestationalWeek(dating, Math.min(week + step, rule.endWeek + 1)), -1),
+    });
+  }
+  return windows;
+}
+
+export function buildSchedule(rules, dating, events, today = new Date()) {
+  if (!dating) return [];
+  const todayKey = format(today, "yyyy-MM-dd");
+  const sortedEvents = [...events].sort((a, b) => a.date.localeCompare(b.date));
+  const usedEventIds = new Set();
+  const resolved = new Map();
+  const schedule = [];
+
+  rules.forEach((rule) => {
+    expandRule(rule, dating, resolved).forEach((window) => {
+      const start = format(window.start, "yyyy-MM-dd");
+      const end = format(window.end, "yyyy-MM-dd");
+      const matched = sortedEvents.find(
+        (eventItem) =>
+          !usedEventIds.has(eventItem.id) &&
+          eventItem.date >= start &&
+          eventItem.date <= end &&
+          eventMatchesRule(eventItem, rule)
+      );
+      if (matched) usedEventIds.add(matched.id);
+
+      const status = matched
+        ? "done"
+        : end < todayKey
+        ? "overdue"
+        : start <= todayKey
+        ? "open"
+        : "upcoming";
+
+      const item = {
+        id: window.key,
+        ruleId: rule.id,
+        title: window.week !== undefined ? `${rule.title} (${window.week}w)` : rule.title,
+        eventType: rule.eventType || "",
+        start,
+        end,
+        status,
+        matchedEventId: matched?.id || null,
+        matchedDate: matched?.date || null,
+      };
+      if (!resolved.has(rule.id)) resolved.set(rule.id, item);
+      schedule.push(item);
+    });
+  });
+
+  return schedule.sort((a, b) => a.start.localeCompare(b.start));
+}
@@ -0,0 +1,82 @@
+import { parseISO } from "date-fns";
+import { getEventCategory } from "./eventTypes.js";
+import { getGestationalAge, getTrimester } from "./pregnancy.js";
+import { formatReportPoints } from "./reports.js";
+
+export const TRIMESTERS = ["1st Trimester", "2nd Trimester", "3rd Trimester"];
+
+export const emptyFilters = {
+  query: "",
+  category: "",
+  from: "",
+  to: "",
+  trimester: "",
+};
+
+export function hasActiveFilters(filters) {
+  return Object.keys(emptyFilters).some((key) => filters[key].trim() !== "");
+}
+
+// Week 0 has no trimester of its own, so it counts as the first (as on the timeline).
+function trimesterOn(dating, dateKey) {
+  const age = getGestationalAge(dating, parseISO(dateKey));
+  return age ? getTrimester(Math.max(age.weeks, 1)) : "";
+}
+
+// Every whitespace-separated term has to appear somewhere in the text, in any order.
+function matchesQuery(query, fields) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+  const text = fields.join(" ").toLowerCase();
+  return terms.every((term) => text.includes(term));
+}
+
+function matchesDate(filters, dating, dateKey) {
+  if (!dateKey) return false;
+  if (filters.from && dateKey < filters.from) return false;
+  if (filters.to && dateKey > filters.to) return false;
+  return !filters.trimester || trimesterOn(dating, dateKey) === filters.trimester;
+}
+
+export function filterEvents(events, filters, dating) {
+  return events.filter(
+    (event) =>
+      (!filters.category || event.category === filters.category) &&
+      matchesDate(filters, dating, event.date) &&
+      matchesQuery(filters.query, [event.title, event.type, event.notes])
+  );
+}
+
+// Matching events and reports, newest first. A report takes the category of its appointment.
+export function searchRecords({ events, reports }, filters, dating) {
+  const eventsById = new Map(events.map((event) => [event.id, event]));
+  const eventResults = filterEvents(events, filters, dating).map((event) => ({
+    key: `event-${event.id}`,
+    kind: "event",
+    date: event.date,
+    title: event.title,
+    detail: [event.type, event.notes].filter(Boolean).join(" · "),
+    category: getEventCategory(event.category),
+  }));
+  const reportResults = reports
+    .filter((report) => {
+      const category = eventsById.get(report.eventId)?.category;
+      return (
+        (!filters.category || category === filters.category) &&
+        matchesDate(filters, dating, report.date) &&
+        matchesQuery(filters.query, [report.title, ...formatReportPoints(report)])
+      );
+    })
+    .map((report) => {
+      const linked = eventsById.get(report.eventId);
+      return {
+        key: `report-${report.id}`,
+        kind: "report",
+        date: report.date,
+        title: report.title,
+        detail: formatReportPoints(report).join(" · "),
+        category: linked ? getEventCategory(linked.category) : null,
+      };
+    });
+  return [...eventResults, ...reportResults].sort((a, b) => b.date.localeCompare(a.date));
+}
@@ -0,0 +1,61 @@
+import { addDays, format } from "date-fns";
+import { dateForGestationalWeek, getGestationalAge, getTrimester } from "./pregnancy.js";
+
+export const TIMELINE_WEEKS = 42;
+
+// Week 0 has no trimester of its own, so it is shown with the first.
+function trimesterOf(week) {
+  return getTrimester(Math.max(week, 1));
+}
+
+// Weeks 0-42 from the dating start, grouped by trimester. Each week carries the events dated in it
+// and the screening windows that are still open during it.
+export function buildWeekTimeline(dating, events, schedule) {
+  if (!dating) return [];
+
+  const groups = [];
+  for (let week = 0; week <= TIMELINE_WEEKS; week += 1) {
+    const start = dateForGestationalWeek(dating, week);
+    const end = addDays(start, 6);
+    const startKey = format(start, "yyyy-MM-dd");
+    const endKey = format(end, "yyyy-MM-dd");
+    const trimester = trimesterOf(week);
+
+    let group = groups[groups.length - 1];
+    if (!group || group.trimester !== trimester) {
+      group = { trimester, weeks: [] };
+      groups.push(group);
+    }
+
+    group.weeks.push({
+      week,
+      start,
+      end,
+      startKey,
+      endKey,
+      events: events
+        .filter((event) => event.date >= startKey && event.date <= endKey)
+        .sort((a, b) => a.date.localeCompare(b.date)),
+      windows: schedule.filter(
+        (item) => item.status !== "done" && item.start <= endKey && item.end >= startKey
+      ),
+    });
+  }
+  return groups;
+}
+
+export function findTimelineWeek(dating, date) {
+  const age = getGestationalAge(dating, date);
+  return age && age.weeks <= TIMELINE_WEEKS ? age.weeks : null;
+}
+
+// Day markers for the month grid: the first day of the 2nd and 3rd trimesters and the EDD.
+export function buildCalendarMarkers(dating) {
+  if (!dating) return {};
+  const markers = {
+    [format(dateForGestationalWeek(dating, 13), "yyyy-MM-dd")]: { label: "2nd trimester", color: "#7e8cff" },
+    [format(dateForGestationalWeek(dating, 28), "yyyy-MM-dd")]: { label: "3rd trimester", color: "#5f9dff" },
+  };
+  markers[format(dating.edd, "yyyy-MM-dd")] = { label: "EDD", color: "#ff7aa2" };
+  return markers;
+}
@@ -0,0 +1,111 @@
+import { parseDateValue } from "./dates.js";
+import { createStableIds } from "./ids.js";
+
+export const eventAliases = {
+  id: ["id", "uid", "eventid"],
+  date: ["date", "eventdate", "day", "when"],
+  type: ["type", "eventtype", "kind"],
+  category: ["category"],
+  title: ["title", "event", "name", "summary"],
+  notes: ["notes", "note", "comments", "comment", "details", "description"],
+};
+
+function headerKey(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Columns written by the app itself, matched regardless of case, spacing or punctuation.
+export function columnAliases(columns) {
+  return columns.reduce((acc, column) => {
+    acc[column] = [headerKey(column)];
+    return acc;
+  }, {});
+}
+
+function findCanonical(header, aliases) {
+  const key = headerKey(header);
+  return Object.keys(aliases).find((canonical) => aliases[canonical].includes(key));
+}
+
+export function canonicalizeRow(raw, aliases) {
+  return Object.keys(raw).reduce((acc, header) => {
+    const canonical = findCanonical(header, aliases) || header;
+    if (!(canonical in acc)) acc[canonical] = raw[header];
+    return acc;
+  }, {});
+}
+
+// Sheet-only check: headers that match nothing are reported once rather than silently ignored.
+export function checkHeaders(rows, aliases, source, extraHeaders = []) {
+  const headers = new Set(rows.flatMap((row) => Object.keys(row)));
+  return [...headers]
+    .filter((header) => !header.startsWith("__EMPTY") && !extraHeaders.includes(header))
+    .filter((header) => !findCanonical(header, aliases))
+    .map((header) => ({ source, row: 1, level: "warning", reason: `Unknown column "${header}" ignored` }));
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+// Normalizes rows into records and explains every row that was dropped or looks wrong.
+// Issues are { source, row, level: "error" | "warning", reason }; errors mean the row was skipped.
+// Collections without a date column (dated: false) skip the date check.
+export function validateRows(
+  rows,
+  { source, aliases, normalize, rowNumber, numericFields = [], signature, check, dated = true }
+) {
+  const records = [];
+  const issues = [];
+  const rowsById = new Map();
+  const rowsBySignature = new Map();
+  const stableIdFor = createStableIds("row");
+
+  rows.forEach((raw, index) => {
+    const values = canonicalizeRow(raw, aliases);
+    if (Object.values(values).every(isBlank)) return;
+
+    const row = rowNumber(raw, index);
+    const report = (level, reason) => issues.push({ source, row, level, reason });
+
+    const parsedDate = dated ? parseDateValue(values.date) : null;
+    if (parsedDate && !parsedDate.date) {
+      report("error", isBlank(values.date) ? "Missing date" : `Unrecognised date "${values.date}"`);
+      return;
+    }
+    if (parsedDate?.note) report("warning", parsedDate.note);
+
+    const id = String(values.id ?? "").trim();
+    if (id && rowsById.has(id)) {
+      report("error", `Duplicate id "${id}" (already used on row ${rowsById.get(id)})`);
+      return;
+    }
+    if (id) rowsById.set(id, row);
+
+    numericFields
+      .filter((field) => !isBlank(values[field]) && !Number.isFinite(Number(values[field])))
+      .forEach((field) => report("warning", `${field} "${values[field]}" is not a number and was left blank`));
+
+    let record = normalize(parsedDate ? { ...values, date: parsedDate.date } : values);
+    (check?.(record) || []).forEach((reason) => report("warning", reason));
+
+    const key = signature?.(record);
+    if (key && rowsBySignature.has(key)) {
+      report("warning", `Looks like a duplicate of row ${rowsBySignature.get(key)}`);
+    } else if (key) {
+      rowsBySignature.set(key, row);
+    }
+
+    // Rows saved without an id (data from before ids were written, or a hand-made sheet) get one
+    // derived from their content, so loading the same file twice gives the same ids and versions
+    // can be compared record by record.
+    if (!id) {
+      const { id: _id, ...fields } = record;
+      record = { ...record, id: stableIdFor(key || JSON.stringify(fields)) };
+    }
+
+    records.push(record);
+  });
+
+  return { records, issues };
+}
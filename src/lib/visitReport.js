@@ -0,0 +1,60 @@
+import { addDays, format, parseISO } from "date-fns";
+import { formatGestationalAge, getGestationalAge, getTrimester } from "./pregnancy.js";
+import { formatReportPoints } from "./reports.js";
+
+const RECENT_DAYS = 28;
+const UPCOMING_DAYS = 42;
+
+// The previous visit is the latest consultation before today; notes added since then are what
+// the doctor has not seen yet.
+function findLastVisit(events, todayKey) {
+  return events
+    .filter((event) => event.category === "consultation" && event.date < todayKey)
+    .sort((a, b) => b.date.localeCompare(a.date))[0];
+}
+
+// Everything the visit report shows, worked out from the data currently loaded in the app.
+export function buildVisitReport({ events, reports, schedule, dating }, today = new Date()) {
+  const todayKey = format(today, "yyyy-MM-dd");
+  const recentFrom = format(addDays(today, -RECENT_DAYS), "yyyy-MM-dd");
+  const upcomingUntil = format(addDays(today, UPCOMING_DAYS), "yyyy-MM-dd");
+  const sorted = [...events].sort((a, b) => a.date.localeCompare(b.date));
+  const age = getGestationalAge(dating, today);
+  const lastVisit = findLastVisit(events, todayKey);
+  const reportedEventIds = new Set(reports.map((report) => report.eventId));
+
+  return {
+    generatedAt: today,
+    gestationalAge: age ? formatGestationalAge(age) : "",
+    trimester: age ? getTrimester(age.weeks) : "",
+    edd: dating?.edd || null,
+    scans: [
+      ...reports.map((report) => ({
+        key: report.id,
+        date: report.date,
+        title: report.title,
+        findings: formatReportPoints(report),
+      })),
+      ...sorted
+        .filter((event) => event.category === "scan" && event.date <= todayKey)
+        .filter((event) => !reportedEventIds.has(event.id))
+        .map((event) => ({ key: event.id, date: event.date, title: event.title, findings: [] })),
+    ].sort((a, b) => a.date.localeCompare(b.date)),
+    recentEvents: sorted.filter((event) => event.date >= recentFrom && event.date <= todayKey),
+    upcomingEvents: sorted.filter((event) => event.date > todayKey && event.date <= upcomingUntil),
+    screenings: schedule.filter(
+      (item) => item.status !== "done" && item.start <= upcomingUntil
+    ),
+    lastVisit: lastVisit || null,
+    notes: sorted.filter(
+      (event) =>
+        event.notes &&
+        event.date <= todayKey &&
+        (!lastVisit || event.date >= lastVisit.date)
+    ),
+  };
+}
+
+export function formatReportDate(dateKey) {
+  return format(parseISO(dateKey), "d MMM yyyy");
+}
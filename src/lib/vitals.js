@@ -0,0 +1,129 @@
+import { formatDateInput } from "./dates.js";
+import { createId } from "./ids.js";
+
+export const glucoseContexts = [
+  { value: "fasting", label: "Fasting" },
+  { value: "post-meal", label: "Post-meal" },
+  { value: "random", label: "Random" },
+];
+
+export const vitalColumns = [
+  "id",
+  "date",
+  "weightKg",
+  "systolic",
+  "diastolic",
+  "hbGdl",
+  "glucoseMgdl",
+  "glucoseContext",
+  "notes",
+];
+
+export const numericVitalKeys = ["weightKg", "systolic", "diastolic", "hbGdl", "glucoseMgdl"];
+
+// IOM (2009) gestational weight gain guidance by pre-pregnancy BMI. Rates are kg/week for the 2nd and 3rd trimesters.
+const iomGuidelines = [
+  { category: "Underweight", maxBmi: 18.5, totalLow: 12.5, totalHigh: 18, rateLow: 0.44, rateHigh: 0.58 },
+  { category: "Normal weight", maxBmi: 25, totalLow: 11.5, totalHigh: 16, rateLow: 0.35, rateHigh: 0.5 },
+  { category: "Overweight", maxBmi: 30, totalLow: 7, totalHigh: 11.5, rateLow: 0.23, rateHigh: 0.33 },
+  { category: "Obese", maxBmi: Infinity, totalLow: 5, totalHigh: 9, rateLow: 0.17, rateHigh: 0.27 },
+];
+
+const FIRST_TRIMESTER_WEEKS = 13;
+const FIRST_TRIMESTER_GAIN = { low: 0.5, high: 2 };
+
+function toNumberOrBlank(value) {
+  if (value === "" || value === null || value === undefined) return "";
+  const number = Number(value);
+  return Number.isFinite(number) ? number : "";
+}
+
+export function normalizeVital(raw) {
+  const numbers = numericVitalKeys.reduce((acc, key) => {
+    acc[key] = toNumberOrBlank(raw[key]);
+    return acc;
+  }, {});
+  const context = String(raw.glucoseContext ?? "").trim();
+  return {
+    id: String(raw.id ?? "").trim() || createId(),
+    date: formatDateInput(raw.date),
+    ...numbers,
+    glucoseContext: glucoseContexts.some((item) => item.value === context) ? context : "",
+    notes: String(raw.notes ?? "").trim(),
+  };
+}
+
+export function sortVitals(vitals) {
+  return [...vitals].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export function getBmi(profile) {
+  const heightM = Number(profile.heightCm) / 100;
+  const weight = Number(profile.prePregnancyWeightKg);
+  if (!heightM || !weight) return null;
+  return weight / (heightM * heightM);
+}
+
+export function getWeightGainGuideline(profile) {
+  const bmi = getBmi(profile);
+  if (bmi === null) return null;
+  const guideline = iomGuidelines.find((item) => bmi < item.maxBmi);
+  return { ...guideline, bmi };
+}
+
+export function weightGainRange(guideline, gaWeeks) {
+  if (gaWeeks <= FIRST_TRIMESTER_WEEKS) {
+    const ratio = Math.max(gaWeeks, 0) / FIRST_TRIMESTER_WEEKS;
+    return { low: FIRST_TRIMESTER_GAIN.low * ratio, high: FIRST_TRIMESTER_GAIN.high * ratio };
+  }
+  const weeks = gaWeeks - FIRST_TRIMESTER_WEEKS;
+  return {
+    low: Math.min(FIRST_TRIMESTER_GAIN.low + weeks * guideline.rateLow, guideline.totalLow),
+    high: Math.min(FIRST_TRIMESTER_GAIN.high + weeks * guideline.rateHigh, guideline.totalHigh),
+  };
+}
+
+export function evaluateVital(vital, profile) {
+  const alerts = [];
+  const highBp =
+    (vital.systolic !== "" && vital.systolic >= profile.bpSystolicMax) ||
+    (vital.diastolic !== "" && vital.diastolic >= profile.bpDiastolicMax);
+  if (highBp) {
+    alerts.push({
+      key: "bp",
+      message: `Blood pressure ${vital.systolic || "-"}/${vital.diastolic || "-"} mmHg is at or above ${profile.bpSystolicMax}/${profile.bpDiastolicMax}.`,
+    });
+  }
+  if (vital.hbGdl !== "" && vital.hbGdl < profile.hbMin) {
+    alerts.push({
+      key: "hb",
+      message: `Haemoglobin ${vital.hbGdl} g/dL is below ${profile.hbMin} g/dL.`,
+    });
+  }
+  if (vital.glucoseMgdl !== "") {
+    const limit =
+      vital.glucoseContext === "fasting" ? profile.fastingGlucoseMax : profile.postMealGlucoseMax;
+    if (vital.glucoseMgdl > limit) {
+      alerts.push({
+        key: "glucose",
+        message: `Blood sugar ${vital.glucoseMgdl} mg/dL (${vital.glucoseContext || "random"}) is above ${limit} mg/dL.`,
+      });
+    }
+  }
+  return alerts;
+}
+
+// Only the most recent reading of each measure raises a dashboard warning.
+export function buildVitalAlerts(vitals, profile) {
+  const latest = {};
+  sortVitals(vitals).forEach((vital) => {
+    if (vital.systolic !== "" || vital.diastolic !== "") latest.bp = vital;
+    if (vital.hbGdl !== "") latest.hb = vital;
+    if (vital.glucoseMgdl !== "") latest.glucose = vital;
+  });
+  return Object.entries(latest).flatMap(([key, vital]) =>
+    evaluateVital(vital, profile)
+      .filter((alert) => alert.key === key)
+      .map((alert) => ({ ...alert, date: vital.date, vitalId: vital.id }))
+  );
+}
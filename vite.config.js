@@ -1,8 +1,10 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import offline from './plugins/offline.js'
+import pregnancyData from './plugins/pregnancyData.js'
 
 // https://vite.dev/config/
 export default defineConfig({
   base: "/Preg-Dashboard/",
-  plugins: [react()],
+  plugins: [react(), pregnancyData(), offline()],
 });